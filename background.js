@@ -1,16 +1,122 @@
 // Background service worker for Auto Click Assistant
 console.log('Auto Click Assistant: Background script loaded');
 
+// Default settings written on install (delay values in milliseconds)
+const DEFAULT_SETTINGS = {
+  delaySettings: {
+    strategy: 'fixed',
+    intervalMs: 2000,
+    minMs: 1000,
+    maxMs: 3000,
+    jitterMs: 500,
+    backoffFactor: 2,
+    maxBackoffMs: 60000,
+    scrollWaitMs: 1000
+  },
+  delayUnit: 's',
+  autoScroll: true
+};
+
+// Frames taking part in each tab's current run: tabId -> Map(frameId -> { frame, progress, stats }),
+// mirrored to storage.session so a restarted service worker can still merge frame results
+// (see loadFrameRuns)
+let frameRunsLoading = null;
+
+// Pending frame run updates of each tab: tabId -> Promise. Updates of one tab run
+// one after another, so frames reporting at the same time can't interleave.
+const frameRunUpdates = new Map();
+
+// How many per-tab "last run" configs to keep for the start/stop shortcut
+const MAX_LAST_RUNS = 20;
+
+// Running automations by tab id, mirrored to storage.activeSessions so a
+// reopened popup (or a restarted service worker) can find them
+let sessionCache = null;
+
+// Open popup progress ports -> id of the tab each popup is showing
+const popupPorts = new Map();
+
+// How long a "follow next page" click has to start loading the next page
+const NEXT_PAGE_TIMEOUT_MS = 60000;
+
+// Alarm names for scheduled recipes are this prefix + the recipe id
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+
+// How long a scheduled run waits for its page to load, then for it to render
+const SCHEDULE_LOAD_TIMEOUT_MS = 60000;
+const SCHEDULE_SETTLE_MS = 3000;
+
+// Finished runs kept in storage.runHistory with their click audit trails (oldest are dropped first)
+const MAX_RUN_HISTORY = 2000;
+
+// Clicks kept in one run's audit trail - the whole history is rewritten after every run,
+// so one huge run shouldn't make that slow (the rest are only counted)
+const MAX_HISTORY_CLICKS = 250;
+
+// Toolbar badge color for each run state
+const BADGE_COLORS = {
+  running: '#28a745',
+  paused: '#ffc107',
+  error: '#dc3545'
+};
+
+// Notification titles and texts for how a run ended (runs the user stopped
+// or left by navigating away don't notify)
+const RUN_END_NOTICES = {
+  'completed': { title: 'Automation finished', text: 'All matching buttons clicked' },
+  'pattern-limits': { title: 'Automation finished', text: 'Every pattern reached its click limit' },
+  'max-clicks': { title: 'Automation stopped', text: 'Reached max clicks' },
+  'max-duration': { title: 'Automation stopped', text: 'Reached max duration' },
+  'stop-time': { title: 'Automation stopped', text: 'Reached the stop time' },
+  'text-appeared': { title: 'Automation stopped', text: 'Stop text appeared on the page' },
+  'selector-appeared': { title: 'Automation stopped', text: 'Stop selector appeared on the page' },
+  'page-limit': { title: 'Automation stopped', text: 'Reached the maximum number of pages' },
+  'no-targets': { title: 'Automation failed', text: 'No matching buttons found', failed: true },
+  'next-page-failed': { title: 'Automation failed', text: 'Could not continue on the next page', failed: true }
+};
+
+// Notification ids are this prefix + the tab id, so clicking one can focus its tab
+const NOTIFICATION_PREFIX = 'run:';
+
 // Initialize extension storage
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   console.log('Auto Click Assistant: Extension installed');
   
-  // Set default settings
+  // Set default settings without overwriting what the user already saved (updates re-run this)
+  const existing = await chrome.storage.local.get([...Object.keys(DEFAULT_SETTINGS), 'clickInterval']);
+  
+  // Carry the legacy clickInterval (seconds) over into the delay settings
+  if (!existing.delaySettings && existing.clickInterval) {
+    existing.delaySettings = {
+      ...DEFAULT_SETTINGS.delaySettings,
+      intervalMs: existing.clickInterval * 1000
+    };
+    await chrome.storage.local.set({ delaySettings: existing.delaySettings });
+  }
+  
+  const missingDefaults = {};
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, value]) => {
+    if (existing[key] === undefined) {
+      missingDefaults[key] = value;
+    }
+  });
+  
   chrome.storage.local.set({
-    clickInterval: 20,
-    autoScroll: true,
+    ...missingDefaults,
     isAutomationRunning: false
   });
+  
+  // Progress used to be polled from storage - the popup now listens on a port
+  chrome.storage.local.remove('lastProgressUpdate');
+  
+  syncScheduleAlarms();
+});
+
+// A browser restart ends every run (and tab ids start over) - start with an empty registry
+chrome.runtime.onStartup.addListener(() => {
+  sessionCache = {};
+  chrome.storage.local.set({ activeSessions: {}, pendingCompletions: {} });
+  syncScheduleAlarms();
 });
 
 // Handle messages between popup and content script
@@ -19,56 +125,119 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   switch (message.action) {
     case 'scanButtons':
-      forwardToActiveTab(message, sendResponse);
+      forwardToTab(message, sendResponse);
       return true; // Keep channel open for async response
       
     case 'startAutomation':
-      forwardToActiveTab(message, sendResponse);
+      forwardToTab(message, sendResponse);
       return true;
       
     case 'stopAutomation':
-      forwardToActiveTab(message, sendResponse);
+      forwardToTab(message, sendResponse);
+      return true;
+      
+    case 'pauseAutomation':
+    case 'resumeAutomation':
+      // Every frame of the run pauses and resumes together
+      forwardToTab(message, sendResponse);
+      return true;
+      
+    case 'updateDelaySettings':
+      // Delays edited in the popup mid-run - only for the run in that tab
+      updateSessionDelaySettings(message)
+        .then(() => forwardToTab(message, sendResponse));
       return true;
       
     case 'highlightButtons':
-      forwardToActiveTab(message, sendResponse);
+      forwardToTab(message, sendResponse);
       return true;
       
+    case 'previewAutomation':
+      // Dry run: number the targets in click order without clicking
+      forwardToTab(message, sendResponse);
+      return true;
+      
+    case 'startPicker':
+    case 'stopPicker':
+      forwardToTab(message, sendResponse);
+      return true;
+      
+    case 'getSession':
+      // Popup reopened - is an automation already running in the tab?
+      handleGetSession(message, sendResponse);
+      return true;
+      
+    case 'getSessions':
+      // Every tab with a running automation, for the popup's running tabs list
+      handleGetSessions(sendResponse);
+      return true;
+      
+    case 'syncSchedules':
+      // Recipes were saved, deleted or imported - re-arm their alarms
+      syncScheduleAlarms()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
+    case 'emergencyStop':
+      // Escape pressed in one frame - stop the tab's other frames as well
+      handleEmergencyStop(sender, sendResponse);
+      return true;
+      
+    case 'elementPicked':
+      // Popup is closed while the user picks, so keep the result until it reopens
+      storePickerResult(message, sender, sendResponse);
+      return true;
+
     case 'progressUpdate':
       // Forward progress updates from content script to popup
-      forwardToPopup(message, sendResponse);
+      handleProgressUpdate(message, sender, sendResponse);
+      return true;
+      
+    case 'clickEvent':
+      // Stream each click to the popup as it happens
+      forwardToPopup(sender.tab && sender.tab.id, message, sendResponse);
       return true;
     case 'automationComplete':
-      // Forward completion messages from content script to popup
-      forwardToPopup(message, sendResponse);
+      // Forward completion messages once every frame of the run has finished
+      handleAutomationComplete(message, sender, sendResponse);
+      return true;
+      
+    case 'nextPageRequested':
+      // The run is about to follow a next page link - keep its session through the navigation
+      setNextPage(sender.tab && sender.tab.id, message.resume)
+        .then(() => sendResponse({ success: true }));
       return true;
+      
+    case 'nextPageInPlace':
+      // The site paged without navigating and the content script carried on
+      setNextPage(sender.tab && sender.tab.id, null)
+        .then(() => sendResponse({ success: true }));
+      return true;
+
     default:
       console.log('Unknown message action:', message.action);
       sendResponse({ success: false, error: 'Unknown action' });
   }
 });
 
-// Forward messages to the active tab's content script
-async function forwardToActiveTab(message, sendResponse) {
+// Forward messages to a tab's content script: message.tabId if given, otherwise the active tab
+async function forwardToTab(message, sendResponse) {
   try {
-    // Get the active tab
-    const [activeTab] = await chrome.tabs.query({ 
-      active: true, 
-      currentWindow: true 
-    });
+    const tab = await resolveTargetTab(message);
     
-    if (!activeTab) {
-      sendResponse({ success: false, error: 'No active tab found' });
+    if (!tab) {
+      sendResponse({ success: false, error: 'No target tab found' });
       return;
     }
     
-    if (!activeTab.id) {
-      sendResponse({ success: false, error: 'Active tab has no ID' });
+    if (!tab.id) {
+      sendResponse({ success: false, error: 'Target tab has no ID' });
       return;
     }
     
     // Check if the page is a restricted page where content scripts can't run
-    if (isRestrictedPage(activeTab.url)) {
+    if (isRestrictedPage(tab.url)) {
       sendResponse({ 
         success: false, 
         error: 'Cannot run on this page. Try a regular website (like google.com).' 
@@ -76,11 +245,11 @@ async function forwardToActiveTab(message, sendResponse) {
       return;
     }
     
-    console.log('Forwarding message to tab:', activeTab.id, activeTab.url);
+    console.log('Forwarding message to tab:', tab.id, tab.url);
     
     try {
       // First, try to send the message to see if content script is loaded
-      const response = await chrome.tabs.sendMessage(activeTab.id, message);
+      const response = await routeToFrames(tab, message);
       sendResponse(response);
       
     } catch (connectionError) {
@@ -88,17 +257,14 @@ async function forwardToActiveTab(message, sendResponse) {
       
       // Try to inject the content script
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId: activeTab.id },
-          files: ['content.js']
-        });
+        await injectContentScript(tab);
         
         console.log('Content script injected successfully');
         
         // Wait a moment for the script to initialize
         setTimeout(async () => {
           try {
-            const response = await chrome.tabs.sendMessage(activeTab.id, message);
+            const response = await routeToFrames(tab, message);
             sendResponse(response);
           } catch (retryError) {
             console.error('Still failed after injection:', retryError);
@@ -119,11 +285,527 @@ async function forwardToActiveTab(message, sendResponse) {
     }
     
   } catch (error) {
-    console.error('Error in forwardToActiveTab:', error);
+    console.error('Error in forwardToTab:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+// Inject the content script into the frames of a tab that don't answer yet.
+// Frames that already have it are left alone - a second copy would click twice.
+async function injectContentScript(tab) {
+  const frames = await getTabFrames(tab);
+  const missing = [];
+  
+  await Promise.all(frames.map(async frame => {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'getStatus' }, { frameId: frame.frameId });
+    } catch (error) {
+      missing.push(frame.frameId);
+    }
+  }));
+  
+  if (missing.length === 0) return;
+  console.log(`Injecting content script into frame(s) ${missing.join(', ')} of tab ${tab.id}`);
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id, frameIds: missing },
+    files: ['content.js']
+  });
+}
+
+// Get the frames of a tab that content scripts can run in
+async function getTabFrames(tab) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id });
+    const usableFrames = (frames || []).filter(frame => 
+      frame.frameId === 0 || !isRestrictedPage(frame.url)
+    );
+    if (usableFrames.length > 0) {
+      return usableFrames;
+    }
+  } catch (error) {
+    console.log('Could not list frames, using the top frame only:', error.message);
+  }
+  
+  return [{ frameId: 0, parentFrameId: -1, url: tab.url }];
+}
+
+// Short label telling the user which frame a pattern came from
+function getFrameLabel(frame) {
+  if (frame.frameId === 0) return 'Main page';
+  
+  try {
+    return new URL(frame.url).hostname || `Frame ${frame.frameId}`;
+  } catch (error) {
+    return `Frame ${frame.frameId}`;
+  }
+}
+
+// Send a message to each frame. buildMessage(frame) returns the message for that
+// frame or null to skip it. Frames without a content script are skipped, except
+// the top frame, which throws so the caller can inject the script. The error
+// carries the answers of the other frames (error.results).
+async function sendToFrames(tabId, frames, buildMessage) {
+  let topFrameError = null;
+  const results = await Promise.all(frames.map(async frame => {
+    const frameMessage = buildMessage(frame);
+    if (!frameMessage) return null;
+    
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, frameMessage, { frameId: frame.frameId });
+      return { frame: frame, response: response || {} };
+    } catch (error) {
+      if (frame.frameId === 0) {
+        topFrameError = error;
+      } else {
+        console.log(`Frame ${frame.frameId} did not answer:`, error.message);
+      }
+      return null;
+    }
+  }));
+  
+  if (topFrameError) {
+    topFrameError.results = results.filter(Boolean);
+    throw topFrameError;
+  }
+  return results.filter(Boolean);
+}
+
+// Narrow a message's targets to those belonging to a frame. Targets without a
+// frameId (typed selectors, older callers) go to every frame.
+function getFrameTargets(message, frame) {
+  const targets = message.targets || (message.target ? [message.target] : null);
+  if (!targets) return null;
+  
+  return targets.filter(target => 
+    !target || typeof target !== 'object' || 
+    target.frameId === undefined || target.frameId === null || 
+    target.frameId === frame.frameId
+  );
+}
+
+// Route a popup message to the frames it concerns and merge their answers
+async function routeToFrames(tab, message) {
+  const frames = await getTabFrames(tab);
+  
+  switch (message.action) {
+    case 'scanButtons':
+      return mergeScanResults(await sendToFrames(tab.id, frames, () => message));
+      
+    case 'highlightButtons': {
+      // Frames without matching targets still get the message so old highlights are cleared
+      const results = await sendToFrames(tab.id, frames, frame => {
+        const targets = getFrameTargets(message, frame);
+        return targets ? { ...message, target: undefined, targets: targets } : message;
+      });
+      return mergeHighlightResults(results);
+    }
+      
+    case 'previewAutomation': {
+      const results = await sendToFrames(tab.id, frames, frame => {
+        const targets = getFrameTargets(message, frame);
+        if (targets && targets.length === 0) return null;
+        return targets ? { ...message, target: undefined, targets: targets } : message;
+      });
+      return mergePreviewResults(results);
+    }
+      
+    case 'startAutomation': {
+      // Registered before sending: frames that find nothing report completion right away
+      const frameRuns = await loadFrameRuns();
+      const runFrames = new Map();
+      frameRuns.set(tab.id, runFrames);
+      await saveFrameRuns();
+      
+      let results;
+      try {
+        results = await sendToFrames(tab.id, frames, frame => {
+          const targets = getFrameTargets(message, frame);
+          if (targets && targets.length === 0) return null;
+          
+          runFrames.set(frame.frameId, { frame: frame, progress: null, stats: null });
+          
+          // Counters from the previous page belong to the top page (only it follows pages)
+          const frameMessage = message.resume && frame.frameId !== 0 ? 
+            { ...message, resume: undefined } : message;
+          return targets ? { ...frameMessage, target: undefined, targets: targets } : frameMessage;
+        });
+      } catch (error) {
+        await rollBackFrameRun(tab.id, error.results || []);
+        throw error;
+      }
+      
+      const response = mergeStartResults(tab.id, runFrames, results);
+      if (!response.success) {
+        frameRuns.delete(tab.id);
+      }
+      await saveFrameRuns();
+      if (response.success) {
+        // A run resumed on its next page is still the run the user started
+        if (!message.resume) {
+          await saveLastRun(tab, message);
+        }
+        await registerSession(tab, message, response);
+        updateBadge(tab.id, 'running', message.resume ? message.resume.totalClicked : 0);
+      }
+      return response;
+    }
+      
+    case 'getStatus': {
+      const results = await sendToFrames(tab.id, frames, () => message);
+      return {
+        success: true,
+        isRunning: results.some(result => result.response.isRunning),
+        isPaused: results.some(result => result.response.isRunning && result.response.isPaused)
+      };
+    }
+      
+    default: {
+      // Stop, pause / resume, delay and picker messages go to every frame
+      const results = await sendToFrames(tab.id, frames, () => message);
+      const success = results.find(result => result.response.success);
+      return success ? success.response : 
+        (results[0] ? results[0].response : { success: false, error: 'No frame answered' });
+    }
+  }
+}
+
+// Combine the button patterns found in each frame
+function mergeScanResults(results) {
+  const successful = results.filter(result => result.response.success);
+  if (successful.length === 0) {
+    return results[0] ? results[0].response : { success: false, error: 'No frame could be scanned' };
+  }
+  
+  const patterns = [];
+  successful.forEach(({ frame, response }) => {
+    (response.patterns || []).forEach(pattern => {
+      patterns.push({ ...pattern, frameId: frame.frameId, frameLabel: getFrameLabel(frame) });
+    });
+  });
+  patterns.sort((a, b) => b.count - a.count);
+  
+  return { success: true, patterns: patterns, frameCount: successful.length };
+}
+
+// Add up highlight counts across frames
+function mergeHighlightResults(results) {
+  const successful = results.filter(result => result.response.success);
+  if (successful.length === 0) {
+    return results[0] ? results[0].response : { success: false, error: 'No frame answered' };
+  }
+  
+  const frames = successful
+    .filter(result => result.response.highlightedCount > 0)
+    .map(result => ({
+      frameId: result.frame.frameId,
+      frameLabel: getFrameLabel(result.frame),
+      count: result.response.highlightedCount
+    }));
+  
+  return {
+    success: true,
+    highlightedCount: frames.reduce((total, frame) => total + frame.count, 0),
+    excludedCount: successful.reduce((total, result) => total + (result.response.excludedCount || 0), 0),
+    frames: frames
+  };
+}
+
+// Combine the preview of each frame. Frames run side by side, so the
+// longest frame decides how long the whole run takes.
+function mergePreviewResults(results) {
+  const successful = results.filter(result => result.response.success);
+  if (successful.length === 0) {
+    return results[0] ? results[0].response : { success: false, error: 'No frame answered' };
+  }
+  
+  return {
+    success: true,
+    totalButtons: successful.reduce((total, result) => total + result.response.totalButtons, 0),
+    etaMs: Math.max(...successful.map(result => result.response.etaMs || 0)),
+    pattern: successful.map(result => result.response.pattern).join(' + '),
+    skipped: [].concat(...successful.map(result => 
+      labelFramePatterns(result.response.skipped, result.frame)
+    ))
+  };
+}
+
+// Suffix per-pattern entries from sub frames with the frame they run in
+function labelFramePatterns(patterns, frame) {
+  if (frame.frameId === 0) return patterns || [];
+  
+  return (patterns || []).map(pattern => ({
+    ...pattern,
+    pattern: `${pattern.pattern} — ${getFrameLabel(frame)}`
+  }));
+}
+
+// Combine the start responses of each frame and forget frames that didn't start
+function mergeStartResults(tabId, runFrames, results) {
+  const started = results.filter(result => result.response.success);
+  
+  // Frames that didn't start report "no targets" on their own - forget them
+  results.forEach(result => {
+    if (!result.response.success) runFrames.delete(result.frame.frameId);
+  });
+  
+  if (started.length === 0) {
+    return results[0] ? results[0].response : { success: false, error: 'No buttons found with selected pattern' };
+  }
+  
+  console.log(`Automation started in ${started.length} frame(s) of tab ${tabId}`);
+  
+  return {
+    success: true,
+    totalButtons: started.reduce((total, result) => total + result.response.totalButtons, 0),
+    pattern: started.map(result => result.response.pattern).join(' + '),
+    patternProgress: [].concat(...started.map(result => 
+      labelFramePatterns(result.response.patternProgress, result.frame)
+    )),
+    excludedCount: started.reduce((total, result) => total + (result.response.excludedCount || 0), 0)
+  };
+}
+
+// Load the frame run registry: from memory, or from storage.session after the
+// service worker was stopped during a run (once per service worker lifetime)
+function loadFrameRuns() {
+  if (!frameRunsLoading) {
+    frameRunsLoading = chrome.storage.session.get('frameRuns').then(({ frameRuns = {} }) => 
+      new Map(Object.entries(frameRuns).map(([tabId, runFrames]) => [
+        Number(tabId),
+        new Map(Object.entries(runFrames).map(([frameId, entry]) => [Number(frameId), entry]))
+      ]))
+    );
+  }
+  return frameRunsLoading;
+}
+
+// Write the frame run registry back to storage.session
+async function saveFrameRuns() {
+  const frameRuns = await loadFrameRuns();
+  const stored = {};
+  frameRuns.forEach((runFrames, tabId) => {
+    stored[tabId] = Object.fromEntries(runFrames);
+  });
+  await chrome.storage.session.set({ frameRuns: stored });
+}
+
+// Run an update of a tab's frame run once the tab's earlier updates have finished
+function queueFrameRunUpdate(tabId, update) {
+  const result = (frameRunUpdates.get(tabId) || Promise.resolve()).then(update);
+  const settled = result.catch(() => {});
+  frameRunUpdates.set(tabId, settled);
+  settled.then(() => {
+    if (frameRunUpdates.get(tabId) === settled) frameRunUpdates.delete(tabId);
+  });
+  return result;
+}
+
+// Forget the frames of a tab's run (it ended, or the tab navigated away)
+function clearFrameRun(tabId) {
+  return queueFrameRunUpdate(tabId, async () => {
+    const frameRuns = await loadFrameRuns();
+    if (frameRuns.delete(tabId)) {
+      await saveFrameRuns();
+    }
+  });
+}
+
+// The top frame couldn't be reached while starting: stop the frames that did start
+// so the retry after injecting the content script isn't refused as "already running"
+async function rollBackFrameRun(tabId, results) {
+  await clearFrameRun(tabId);
+  
+  const started = results.filter(result => result.response.success);
+  await Promise.all(started.map(result => 
+    chrome.tabs.sendMessage(tabId, { action: 'stopAutomation' }, { frameId: result.frame.frameId })
+      .catch(() => {
+        // Frame went away, nothing to undo
+      })
+  ));
+}
+
+// Get the run entry for the frame that sent a message, if it's part of a multi-frame run
+async function getFrameRunEntry(sender) {
+  if (!sender || !sender.tab) return null;
+  
+  const runFrames = (await loadFrameRuns()).get(sender.tab.id);
+  return runFrames ? runFrames.get(sender.frameId || 0) || null : null;
+}
+
+// Sum a numeric field over a list of objects
+function sumField(items, field) {
+  return items.reduce((total, item) => total + (item[field] || 0), 0);
+}
+
+// Progress from a frame: update the session, badge and popup with the whole tab's progress
+async function handleProgressUpdate(message, sender, sendResponse) {
+  const progress = await mergeFrameProgress(message, sender);
+  if (sender.tab) {
+    updateSession(sender.tab.id, progress);
+    updateBadge(sender.tab.id, progress.isPaused ? 'paused' : 'running', progress.clickedCount);
+  }
+  forwardToPopup(sender.tab && sender.tab.id, progress, sendResponse);
+}
+
+// Turn one frame's progress update into a progress update for the whole tab
+function mergeFrameProgress(message, sender) {
+  if (!sender || !sender.tab) return Promise.resolve(message);
+  
+  return queueFrameRunUpdate(sender.tab.id, async () => {
+    const runFrames = (await loadFrameRuns()).get(sender.tab.id);
+    const entry = runFrames && runFrames.get(sender.frameId || 0);
+    if (!entry) return message;
+    
+    entry.progress = message;
+    await saveFrameRuns();
+    return combineFrameProgress(message, entry, Array.from(runFrames.values()));
+  });
+}
+
+// Add up the latest progress of every frame of a run
+function combineFrameProgress(message, entry, runFrames) {
+  const updates = runFrames
+    .filter(runFrame => runFrame.progress)
+    .map(runFrame => ({ ...runFrame.progress, frame: runFrame.frame }));
+  if (updates.length === 1) {
+    return { ...message, patternProgress: labelFramePatterns(message.patternProgress, entry.frame) };
+  }
+  
+  return {
+    ...message,
+    clickedCount: sumField(updates, 'clickedCount'),
+    totalButtons: sumField(updates, 'totalButtons'),
+    isRunning: updates.some(update => update.isRunning),
+    isPaused: updates.some(update => update.isRunning && update.isPaused),
+    pattern: updates.map(update => update.pattern).join(' + '),
+    patternProgress: [].concat(...updates.map(update => labelFramePatterns(update.patternProgress, update.frame))),
+    verifiedClicks: sumField(updates, 'verifiedClicks'),
+    unverifiedClicks: sumField(updates, 'unverifiedClicks'),
+    failedClicks: sumField(updates, 'failedClicks'),
+    excludedCount: sumField(updates, 'excludedCount'),
+    originalCount: sumField(updates, 'originalCount'),
+    newButtonsFound: sumField(updates, 'newButtonsFound')
+  };
+}
+
+// Record one frame's final stats. Returns the completion message for the whole
+// tab once every frame of the run has finished, otherwise null.
+function mergeFrameCompletion(message, sender) {
+  if (!sender || !sender.tab) return Promise.resolve(message);
+  
+  return queueFrameRunUpdate(sender.tab.id, async () => {
+    const frameRuns = await loadFrameRuns();
+    const tabFrames = frameRuns.get(sender.tab.id);
+    const entry = tabFrames && tabFrames.get(sender.frameId || 0);
+    if (!entry) return message;
+    
+    entry.stats = message.stats;
+    const runFrames = Array.from(tabFrames.values());
+    if (runFrames.some(runFrame => !runFrame.stats)) {
+      console.log('Frame finished, waiting for the other frames of the run');
+      await saveFrameRuns();
+      return null;
+    }
+    
+    frameRuns.delete(sender.tab.id);
+    await saveFrameRuns();
+    return combineFrameCompletion(message, entry, runFrames);
+  });
+}
+
+// Add up the final stats of every frame of a finished run
+function combineFrameCompletion(message, entry, runFrames) {
+  if (runFrames.length === 1) {
+    const stats = message.stats;
+    return { ...message, stats: { 
+      ...stats, 
+      patternStats: labelFramePatterns(stats.patternStats, entry.frame),
+      excludedTargets: labelFramePatterns(stats.excludedTargets, entry.frame)
+    } };
+  }
+  
+  const allStats = runFrames.map(runFrame => ({ ...runFrame.stats, frame: runFrame.frame }));
+  const lastStats = message.stats;
+  
+  return {
+    ...message,
+    stats: {
+      ...lastStats,
+      totalClicked: sumField(allStats, 'totalClicked'),
+      totalTime: Math.max(...allStats.map(stats => stats.totalTime || 0)),
+      completed: allStats.every(stats => stats.completed),
+      verifiedClicks: sumField(allStats, 'verifiedClicks'),
+      unverifiedClicks: sumField(allStats, 'unverifiedClicks'),
+      failedClicks: sumField(allStats, 'failedClicks'),
+      retriedClicks: sumField(allStats, 'retriedClicks'),
+      clickResults: [].concat(...allStats.map(stats => stats.clickResults || [])),
+      excludedTargets: [].concat(...allStats.map(stats => labelFramePatterns(stats.excludedTargets, stats.frame))),
+      discoveryRounds: sumField(allStats, 'discoveryRounds'),
+      pattern: allStats.map(stats => stats.pattern).join(' + '),
+      patternStats: [].concat(...allStats.map(stats => labelFramePatterns(stats.patternStats, stats.frame))),
+      originalButtons: sumField(allStats, 'originalButtons'),
+      newButtonsFound: sumField(allStats, 'newButtonsFound')
+    }
+  };
+}
+
+// Completion of a frame's run. Frames unloaded by a "follow next page"
+// navigation report page-unload - the run goes on, so those are dropped.
+async function handleAutomationComplete(message, sender, sendResponse) {
+  const tabId = sender.tab && sender.tab.id;
+  const session = tabId !== undefined ? (await loadSessions())[tabId] : null;
+  
+  if (session && session.nextPage && message.stats && message.stats.stopReason === 'page-unload') {
+    console.log('Frame unloaded by next page navigation, run continues');
+    sendResponse({ success: true });
+    return;
+  }
+  
+  // Frames stopped by a rolled-back start belong to no run
+  if (tabId !== undefined && !session && !(await getFrameRunEntry(sender))) {
+    console.log('Completion from a frame outside any run, ignoring');
+    sendResponse({ success: true });
+    return;
+  }
+  
+  const completion = await mergeFrameCompletion(message, sender);
+  if (completion) {
+    if (session && session.scheduleId) {
+      await recordScheduleResult(session.scheduleId, {
+        status: completion.stats.completed ? 'completed' : 'stopped',
+        finishedAt: Date.now(),
+        totalClicked: completion.stats.totalClicked,
+        stopReason: completion.stats.stopReason
+      });
+    }
+    if (tabId !== undefined) {
+      if (hasRunStarted(completion.stats)) {
+        await recordRunHistory(session, sender.tab, completion.stats);
+      }
+      await endSession(tabId);
+      notifyRunEnded(tabId, completion.stats, Boolean(session));
+    }
+    forwardToPopup(tabId, completion, sendResponse);
+  } else {
+    sendResponse({ success: true });
+  }
+}
+
+// Get the tab a popup message is for: an explicit tabId (runs in background tabs) or the active tab
+async function resolveTargetTab(message) {
+  if (typeof message.tabId === 'number') {
+    try {
+      return await chrome.tabs.get(message.tabId);
+    } catch (error) {
+      console.log('Tab no longer exists:', message.tabId);
+      return null;
+    }
+  }
+  
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return activeTab || null;
+}
+
 // Check if the current page is restricted (where content scripts can't run)
 function isRestrictedPage(url) {
   if (!url) return true;
@@ -140,46 +822,803 @@ function isRestrictedPage(url) {
   return restrictedPatterns.some(pattern => url.startsWith(pattern));
 }
 
-// Forward messages to popup (if open)
-function forwardToPopup(message, sendResponse) {
+// Forward messages to every open popup, tagged with the tab they came from.
+// A completion no popup is showing is kept and replayed when that tab is shown.
+async function forwardToPopup(tabId, message, sendResponse) {
   console.log('=== BACKGROUND: Forwarding to popup ===');
-  console.log('Message being stored:', message);
+  console.log('Message being forwarded:', message);
   
-  // Note: In manifest v3, we can't directly message popup
-  // Popup will poll for updates or we'll use storage
   const updateData = {
     ...message,
+    tabId: tabId,
     timestamp: Date.now()
   };
   
-  chrome.storage.local.set({
-    lastProgressUpdate: updateData
-  }, () => {
-    console.log('Progress update stored in chrome.storage.local:', updateData);
+  // Popups list every running tab, so they all get every update
+  popupPorts.forEach((shownTabId, port) => port.postMessage(updateData));
+  
+  if (!isShownInPopup(tabId) && message.action === 'automationComplete' && tabId !== undefined) {
+    const { pendingCompletions = {} } = await chrome.storage.local.get('pendingCompletions');
+    pendingCompletions[tabId] = updateData;
+    await chrome.storage.local.set({ pendingCompletions: pendingCompletions });
+    console.log('No popup open, completion kept for replay');
+  }
+  
+  sendResponse({ success: true });
+}
+
+// Whether an open popup is showing this tab
+function isShownInPopup(tabId) {
+  return Array.from(popupPorts.values()).includes(tabId);
+}
+
+// Popup opened: keep its port and replay state whenever it says which tab it shows
+function handlePopupConnect(port) {
+  popupPorts.set(port, null);
+  console.log('Popup connected');
+  
+  port.onDisconnect.addListener(() => {
+    popupPorts.delete(port);
+  });
+  
+  port.onMessage.addListener((message) => {
+    if (message.action !== 'subscribe') return;
+    
+    popupPorts.set(port, message.tabId);
+    replayTabState(port, message.tabId).catch(error => {
+      console.error('Error replaying tab state:', error);
+    });
+  });
+}
+
+// Send a popup the latest progress of a tab's running automation and any
+// completion that happened while no popup was showing that tab
+async function replayTabState(port, tabId) {
+  const sessions = await loadSessions();
+  const session = sessions[tabId];
+  if (session && popupPorts.has(port)) {
+    port.postMessage({
+      action: 'progressUpdate',
+      tabId: tabId,
+      clickedCount: session.clickedCount,
+      totalButtons: session.totalButtons,
+      isRunning: true,
+      pattern: session.pattern,
+      patternProgress: session.patternProgress,
+      pageNumber: session.pageNumber,
+      timestamp: session.lastUpdate
+    });
+  }
+  
+  const { pendingCompletions = {} } = await chrome.storage.local.get('pendingCompletions');
+  if (pendingCompletions[tabId] && popupPorts.has(port)) {
+    port.postMessage(pendingCompletions[tabId]);
+    delete pendingCompletions[tabId];
+    await chrome.storage.local.set({ pendingCompletions: pendingCompletions });
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popup-progress') return;
+  
+  handlePopupConnect(port);
+});
+
+// Store the element picked on the page for the popup to pick up when reopened
+function storePickerResult(message, sender, sendResponse) {
+  const frameId = sender.frameId || 0;
+  const pickerResult = {
+    ...message.result,
+    tabId: sender.tab ? sender.tab.id : null,
+    frameId: frameId,
+    frameLabel: getFrameLabel({ frameId: frameId, url: sender.url || message.result.url }),
+    timestamp: Date.now()
+  };
+  
+  // The picker runs in every frame - end it in the frames that weren't clicked
+  if (sender.tab) {
+    chrome.tabs.sendMessage(sender.tab.id, { action: 'stopPicker' })
+      .catch(() => {
+        // Frames without a content script, ignore
+      });
+  }
+  
+  chrome.storage.local.set({ pickerResult: pickerResult }, () => {
+    console.log('Picker result stored:', pickerResult);
     sendResponse({ success: true });
   });
 }
 
+// Remember the run config for a tab so the keyboard shortcut can repeat it
+async function saveLastRun(tab, message) {
+  const { lastRuns = {} } = await chrome.storage.local.get('lastRuns');
+  
+  // Without the popup's tabId the shortcut replays the run into whichever tab is active
+  // (and a repeated scheduled run is an ordinary run)
+  const { tabId, scheduleId, ...runMessage } = message;
+  lastRuns[tab.id] = {
+    message: runMessage,
+    url: tab.url,
+    timestamp: Date.now()
+  };
+  
+  // Keep only the most recent configs
+  const tabIds = Object.keys(lastRuns).sort((a, b) => lastRuns[b].timestamp - lastRuns[a].timestamp);
+  tabIds.slice(MAX_LAST_RUNS).forEach(tabId => delete lastRuns[tabId]);
+  
+  await chrome.storage.local.set({ lastRuns: lastRuns });
+}
+
+// Get the last run config for a tab, falling back to the latest run on the same site
+async function getLastRun(tab) {
+  const { lastRuns = {} } = await chrome.storage.local.get('lastRuns');
+  if (lastRuns[tab.id]) return lastRuns[tab.id];
+  
+  const hostname = getHostname(tab.url);
+  const sameSite = Object.values(lastRuns)
+    .filter(run => hostname && getHostname(run.url) === hostname)
+    .sort((a, b) => b.timestamp - a.timestamp);
+  
+  return sameSite[0] || null;
+}
+
+// Load the session registry (once per service worker lifetime)
+async function loadSessions() {
+  if (!sessionCache) {
+    const { activeSessions = {} } = await chrome.storage.local.get('activeSessions');
+    sessionCache = activeSessions;
+  }
+  return sessionCache;
+}
+
+// Record a newly started automation: what it clicks, how, and since when
+async function registerSession(tab, message, response) {
+  const sessions = await loadSessions();
+  
+  sessions[tab.id] = {
+    tabId: tab.id,
+    url: tab.url,
+    targets: message.targets || [message.target || message.pattern],
+    pattern: response.pattern,
+    settings: {
+      runOrder: message.runOrder,
+      delaySettings: message.delaySettings,
+      stopConditions: message.stopConditions,
+      verification: message.verification,
+      discovery: message.discovery,
+      pagination: message.pagination,
+      itemContext: message.itemContext,
+      exclusions: message.exclusions,
+      autoScroll: message.autoScroll
+    },
+    scheduleId: message.scheduleId || null,
+    startTime: message.resume ? message.resume.startTime : Date.now(),
+    pageNumber: message.resume ? message.resume.pageNumber : 1,
+    clickedCount: message.resume ? message.resume.totalClicked : 0,
+    totalButtons: response.totalButtons,
+    patternProgress: response.patternProgress,
+    lastUpdate: Date.now()
+  };
+  
+  await chrome.storage.local.set({ activeSessions: sessions });
+  console.log('Session registered for tab', tab.id);
+}
+
+// Copy the latest counts of a running automation into its session
+async function updateSession(tabId, progress) {
+  const sessions = await loadSessions();
+  const session = sessions[tabId];
+  if (!session) return;
+  
+  Object.assign(session, {
+    clickedCount: progress.clickedCount,
+    totalButtons: progress.totalButtons,
+    patternProgress: progress.patternProgress,
+    verifiedClicks: progress.verifiedClicks,
+    unverifiedClicks: progress.unverifiedClicks,
+    failedClicks: progress.failedClicks,
+    newButtonsFound: progress.newButtonsFound,
+    pageNumber: progress.pageNumber || session.pageNumber,
+    isPaused: Boolean(progress.isPaused),
+    lastUpdate: Date.now()
+  });
+  
+  await chrome.storage.local.set({ activeSessions: sessions });
+}
+
+// Keep a run's edited delays with its session, so its next page uses them too
+async function updateSessionDelaySettings(message) {
+  const tab = await resolveTargetTab(message);
+  const sessions = await loadSessions();
+  const session = tab ? sessions[tab.id] : null;
+  if (!session) return;
+  
+  session.settings.delaySettings = message.delaySettings;
+  await chrome.storage.local.set({ activeSessions: sessions });
+}
+
+// Mark (or clear, with null) a session as following its next page link
+async function setNextPage(tabId, resume) {
+  const sessions = await loadSessions();
+  const session = sessions[tabId];
+  if (!session) return;
+  
+  if (resume) {
+    session.nextPage = { resume: resume, requestedAt: Date.now(), loading: false };
+  } else {
+    delete session.nextPage;
+  }
+  
+  await chrome.storage.local.set({ activeSessions: sessions });
+}
+
+// Get the session of a tab that is on its way to the next page, if any
+async function getNextPageSession(tabId) {
+  const sessions = await loadSessions();
+  const session = sessions[tabId];
+  if (!session || !session.nextPage) return null;
+  
+  if (Date.now() - session.nextPage.requestedAt > NEXT_PAGE_TIMEOUT_MS) {
+    console.log('Next page took too long, dropping the handover for tab', tabId);
+    delete session.nextPage;
+    await chrome.storage.local.set({ activeSessions: sessions });
+    return null;
+  }
+  
+  return session;
+}
+
+// The next page finished loading - start the run there with the carried-over counters
+async function resumeOnNextPage(tabId, session) {
+  const resume = session.nextPage.resume;
+  await setNextPage(tabId, null);
+  
+  // Same-document paging can fire tab updates too; then the page never stopped running
+  const tab = await resolveTargetTab({ tabId: tabId });
+  if (!tab) return;
+  const status = await routeToFrames(tab, { action: 'getStatus' }).catch(() => ({ isRunning: false }));
+  if (status.isRunning) {
+    console.log('Run still active on the same document, nothing to resume');
+    return;
+  }
+  
+  // Give the new page time to render its targets
+  const settings = session.settings;
+  const waitMs = settings.pagination && settings.pagination.waitMs || 0;
+  await new Promise(resolve => setTimeout(resolve, waitMs));
+  
+  console.log(`Resuming run on page ${resume.pageNumber} of tab ${tabId}`);
+  const response = await sendToActiveTab({
+    action: 'startAutomation',
+    tabId: tabId,
+    targets: session.targets,
+    runOrder: settings.runOrder,
+    delaySettings: settings.delaySettings,
+    stopConditions: settings.stopConditions,
+    verification: settings.verification,
+    discovery: settings.discovery,
+    pagination: settings.pagination,
+    itemContext: settings.itemContext,
+    exclusions: settings.exclusions,
+    autoScroll: settings.autoScroll,
+    scheduleId: session.scheduleId,
+    resume: resume
+  });
+  
+  if (!response.success) {
+    console.log('Could not resume run on the next page:', response.error);
+    if (session.scheduleId) {
+      await recordScheduleResult(session.scheduleId, {
+        status: 'stopped',
+        finishedAt: Date.now(),
+        totalClicked: resume.totalClicked,
+        stopReason: 'next-page-failed'
+      });
+    }
+    await endSession(tabId);
+    
+    const stats = {
+      ...resume,
+      // Paused time isn't run time (same as the content script's getActiveRunTime)
+      totalTime: Math.round((Date.now() - resume.startTime - (resume.pausedTime || 0)) / 1000),
+      completed: false,
+      stopReason: 'next-page-failed',
+      stopDetail: response.error || '',
+      pagesVisited: resume.pageNumber - 1,
+      pattern: session.pattern,
+      patternStats: session.patternProgress || []
+    };
+    await recordRunHistory(session, null, stats);
+    notifyRunEnded(tabId, stats, true);
+    forwardToPopup(tabId, { action: 'automationComplete', stats: stats }, () => {});
+  }
+}
+
+// Add a finished run to the history the popup reports from
+async function recordRunHistory(session, tab, stats) {
+  const url = session ? session.url : tab && tab.url;
+  const endedAt = Date.now();
+  let site = '';
+  try {
+    site = new URL(url).hostname;
+  } catch (error) {
+    console.log('Run has no page URL:', url);
+  }
+  
+  const entry = {
+    id: `run-${endedAt}-${session ? session.tabId : tab && tab.id}`,
+    site: site,
+    url: url || '',
+    pattern: stats.pattern || (session && session.pattern) || '',
+    startedAt: session ? session.startTime : endedAt - (stats.totalTime || 0) * 1000,
+    endedAt: endedAt,
+    totalClicked: stats.totalClicked || 0,
+    newButtonsFound: stats.newButtonsFound || 0,
+    excludedCount: (stats.excludedTargets || []).length,
+    pagesVisited: stats.pagesVisited || 1,
+    stopReason: stats.stopReason || '',
+    completed: Boolean(stats.completed),
+    scheduled: Boolean(session && session.scheduleId),
+    // Audit trail: what each click hit, from the item around the button
+    clicksOmitted: Math.max(0, (stats.clickResults || []).length - MAX_HISTORY_CLICKS),
+    clicks: (stats.clickResults || []).slice(0, MAX_HISTORY_CLICKS).map(click => ({
+      timestamp: click.timestamp,
+      label: click.label,
+      result: click.result,
+      name: click.item ? click.item.name : '',
+      price: click.item ? click.item.price : '',
+      link: click.item ? click.item.link : '',
+      page: click.page || ''
+    }))
+  };
+  
+  const { runHistory = [] } = await chrome.storage.local.get('runHistory');
+  runHistory.push(entry);
+  await chrome.storage.local.set({ runHistory: runHistory.slice(-MAX_RUN_HISTORY) });
+}
+
+// Show the tab's click count on the toolbar icon, colored by run state
+function updateBadge(tabId, state, clickedCount) {
+  const count = clickedCount || 0;
+  const text = state === 'error' ? '!' : 
+    count >= 1000 ? `${Math.floor(count / 1000)}k` : String(count);
+  
+  chrome.action.setBadgeText({ tabId: tabId, text: text }).catch(() => {}); // Tab may be gone
+  chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: BADGE_COLORS[state] }).catch(() => {});
+}
+
+function clearBadge(tabId) {
+  chrome.action.setBadgeText({ tabId: tabId, text: '' }).catch(() => {});
+}
+
+// Whether a run got going: it clicked, or had targets and didn't fail before its first click.
+// Runs that never started get neither a history entry nor a notification.
+function hasRunStarted(stats) {
+  if (stats.totalClicked > 0) return true;
+  
+  const notice = RUN_END_NOTICES[stats.stopReason];
+  return stats.originalButtons > 0 && !(notice && notice.failed);
+}
+
+// Tell the user how a run ended when its popup isn't open to show it. Starts that
+// failed right away have no session: the popup shows their error, and shortcut or
+// scheduled starts set the error badge themselves.
+async function notifyRunEnded(tabId, stats, hadSession) {
+  const notice = RUN_END_NOTICES[stats && stats.stopReason];
+  if (!notice) return;
+  
+  // Failed runs keep a red badge until the next run in the tab
+  if (notice.failed && hadSession) {
+    updateBadge(tabId, 'error', stats.totalClicked);
+  }
+  
+  if (isShownInPopup(tabId) || !hasRunStarted(stats)) return;
+  
+  let pageTitle = '';
+  try {
+    pageTitle = (await chrome.tabs.get(tabId)).title || '';
+  } catch (error) {
+    return; // Tab was closed - nothing to focus
+  }
+  
+  const clicked = stats.totalClicked || 0;
+  const details = [`${clicked} click${clicked === 1 ? '' : 's'}`];
+  if (stats.totalTime) details.push(`${stats.totalTime}s`);
+  if (stats.pagesVisited > 1) details.push(`${stats.pagesVisited} pages`);
+  
+  chrome.notifications.create(NOTIFICATION_PREFIX + tabId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: notice.title,
+    message: `${notice.text} (${details.join(', ')})`,
+    contextMessage: pageTitle,
+    priority: notice.failed ? 2 : 0
+  });
+}
+
+// Clicking a run notification brings its tab (and window) to the front
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  
+  chrome.notifications.clear(notificationId);
+  try {
+    const tab = await chrome.tabs.update(Number(notificationId.slice(NOTIFICATION_PREFIX.length)), { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.log('Tab of the notification is gone:', error.message);
+  }
+});
+
+// Forget a tab's session (run finished, tab closed or navigated away)
+async function endSession(tabId) {
+  clearBadge(tabId);
+  
+  const sessions = await loadSessions();
+  if (!sessions[tabId]) return;
+  
+  delete sessions[tabId];
+  await chrome.storage.local.set({ activeSessions: sessions });
+  console.log('Session ended for tab', tabId);
+}
+
+// Get the running session of a tab, dropping it if the page is no longer running
+async function getActiveSession(tab) {
+  const sessions = await loadSessions();
+  const session = sessions[tab.id];
+  if (!session) return null;
+  
+  // Between pages nothing runs yet, but the run isn't over
+  if (session.nextPage && Date.now() - session.nextPage.requestedAt <= NEXT_PAGE_TIMEOUT_MS) return session;
+  
+  // The registry can outlive a run (browser restart, crashed tab) - confirm with the page
+  let status;
+  try {
+    status = await routeToFrames(tab, { action: 'getStatus' });
+  } catch (error) {
+    status = { isRunning: false };
+  }
+  
+  if (!status.isRunning) {
+    console.log('Dropping stale session for tab', tab.id);
+    await endSession(tab.id);
+    return null;
+  }
+  
+  return session;
+}
+
+// Answer the popup's question about a tab (message.tabId or the active tab)
+async function handleGetSession(message, sendResponse) {
+  try {
+    const tab = await resolveTargetTab(message);
+    const session = tab && !isRestrictedPage(tab.url) ? 
+      await getActiveSession(tab) : null;
+    sendResponse({ success: true, session: session });
+  } catch (error) {
+    console.error('Error getting session:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// List the running sessions of all tabs (stale ones are dropped on the way)
+async function handleGetSessions(sendResponse) {
+  try {
+    const sessions = await loadSessions();
+    const running = [];
+    
+    for (const tabId of Object.keys(sessions).map(Number)) {
+      const tab = await resolveTargetTab({ tabId: tabId });
+      if (!tab) {
+        await endSession(tabId);
+        continue;
+      }
+      
+      const session = await getActiveSession(tab);
+      if (session) {
+        running.push({ ...session, title: tab.title || tab.url });
+      }
+    }
+    
+    sendResponse({ success: true, sessions: running });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Hostname of a URL, or empty string if it can't be parsed
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Send a message to the active tab (or message.tabId) and wait for the (merged) response
+function sendToActiveTab(message) {
+  return new Promise(resolve => forwardToTab(message, resolve));
+}
+
+// Start/stop shortcut: stop a running automation, otherwise repeat the last run
+async function toggleAutomation() {
+  const status = await sendToActiveTab({ action: 'getStatus' });
+  if (!status.success) {
+    console.log('Cannot toggle automation:', status.error);
+    return;
+  }
+  
+  if (status.isRunning) {
+    console.log('Shortcut: stopping automation');
+    await sendToActiveTab({ action: 'stopAutomation' });
+    return;
+  }
+  
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const lastRun = activeTab ? await getLastRun(activeTab) : null;
+  if (!lastRun) {
+    console.log('Shortcut: no previous run for this tab or site - start one from the popup first');
+    return;
+  }
+  
+  console.log('Shortcut: repeating last run', lastRun.message);
+  const response = await sendToActiveTab(lastRun.message);
+  if (!response.success) {
+    // No popup shows the error of a shortcut start
+    console.log('Shortcut: could not start automation:', response.error);
+    updateBadge(activeTab.id, 'error', 0);
+  }
+}
+
+// Stop every frame of the tab where Escape was pressed
+async function handleEmergencyStop(sender, sendResponse) {
+  const tabId = sender.tab ? sender.tab.id : null;
+  
+  if (tabId === null || !(await loadFrameRuns()).has(tabId)) {
+    sendResponse({ success: true });
+    return;
+  }
+  
+  // No frameId - reaches every frame; frames that aren't running ignore it
+  chrome.tabs.sendMessage(tabId, { action: 'stopAutomation' })
+    .catch(() => {
+      // Content script gone, nothing to stop
+    })
+    .finally(() => sendResponse({ success: true }));
+}
+
+// Keyboard shortcuts (remappable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command) => {
+  console.log('Command received:', command);
+  
+  if (command === 'toggle-automation') {
+    toggleAutomation().catch(error => {
+      console.error('Error toggling automation:', error);
+    });
+  }
+});
+
+// Next time a schedule is due after `from`: daily / weekly at a clock time,
+// or every N hours counted from when the schedule was saved
+function getNextScheduleTime(schedule, from = Date.now()) {
+  if (schedule.type === 'interval') {
+    const everyMs = Math.max(1, Number(schedule.everyHours) || 24) * 60 * 60 * 1000;
+    const startAt = schedule.startAt || from;
+    const periods = Math.max(0, Math.floor((from - startAt) / everyMs)) + 1;
+    return startAt + periods * everyMs;
+  }
+  
+  const [hours, minutes] = (schedule.time || '09:00').split(':').map(Number);
+  const days = schedule.type === 'weekly' && Array.isArray(schedule.days) && schedule.days.length > 0 ? 
+    schedule.days : [0, 1, 2, 3, 4, 5, 6];
+  
+  // Check today and the next 7 days for the first allowed day still ahead
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(from);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(hours || 0, minutes || 0, 0, 0);
+    if (candidate.getTime() > from && days.includes(candidate.getDay())) {
+      return candidate.getTime();
+    }
+  }
+  
+  return null;
+}
+
+// Create an alarm for every enabled schedule and drop alarms of removed or disabled ones
+async function syncScheduleAlarms() {
+  const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+  const alarms = await chrome.alarms.getAll();
+  const wanted = new Set();
+  
+  for (const recipe of siteRecipes) {
+    if (!recipe.schedule || !recipe.schedule.enabled || !recipe.schedule.url) continue;
+    
+    const name = SCHEDULE_ALARM_PREFIX + recipe.id;
+    const when = getNextScheduleTime(recipe.schedule);
+    if (!when) continue;
+    
+    wanted.add(name);
+    const existing = alarms.find(alarm => alarm.name === name);
+    if (!existing || existing.scheduledTime !== when) {
+      await chrome.alarms.create(name, { when: when });
+      console.log(`Scheduled "${recipe.name}" for ${new Date(when).toLocaleString()}`);
+    }
+  }
+  
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !wanted.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+}
+
+// Save the latest outcome of a scheduled recipe for the popup's schedule list
+async function recordScheduleResult(recipeId, result) {
+  const { scheduleResults = {} } = await chrome.storage.local.get('scheduleResults');
+  
+  scheduleResults[recipeId] = result.status === 'starting' ? 
+    result : { ...scheduleResults[recipeId], ...result };
+  await chrome.storage.local.set({ scheduleResults: scheduleResults });
+}
+
+// Reuse a tab already showing the scheduled page, otherwise open one in the background
+async function openScheduledTab(url) {
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find(tab => tab.url === url);
+  if (existing) return existing;
+  
+  return chrome.tabs.create({ url: url, active: false });
+}
+
+// Resolve once a tab has finished loading (or the load timeout passes)
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Page did not finish loading'));
+    }, SCHEDULE_LOAD_TIMEOUT_MS);
+    
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+    
+    // Already loaded (reused tab) - no update will come
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') listener(tabId, { status: 'complete' });
+    }, () => {});
+  });
+}
+
+// Alarm fired: open the recipe's page and run it unattended
+async function runScheduledRecipe(recipeId) {
+  const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+  const recipe = siteRecipes.find(other => other.id === recipeId);
+  if (!recipe || !recipe.schedule || !recipe.schedule.enabled) return;
+  
+  console.log(`Running scheduled recipe "${recipe.name}"`);
+  await recordScheduleResult(recipe.id, { status: 'starting', startedAt: Date.now() });
+  
+  try {
+    const tab = await openScheduledTab(recipe.schedule.url);
+    await waitForTabLoad(tab.id);
+    await new Promise(resolve => setTimeout(resolve, SCHEDULE_SETTLE_MS));
+    
+    const status = await sendToActiveTab({ action: 'getStatus', tabId: tab.id });
+    if (status.isRunning) {
+      await recordScheduleResult(recipe.id, { status: 'skipped', error: 'Another run was still going in the tab' });
+      return;
+    }
+    
+    const response = await sendToActiveTab({
+      action: 'startAutomation',
+      tabId: tab.id,
+      targets: recipe.targets,
+      runOrder: recipe.runOrder,
+      delaySettings: recipe.delaySettings,
+      stopConditions: recipe.stopConditions,
+      verification: recipe.verification,
+      discovery: recipe.discovery,
+      pagination: recipe.pagination,
+      itemContext: recipe.itemContext,
+      exclusions: recipe.exclusions,
+      autoScroll: recipe.autoScroll,
+      scheduleId: recipe.id
+    });
+    
+    await recordScheduleResult(recipe.id, response.success ? 
+      { status: 'running', tabId: tab.id } : 
+      { status: 'failed', finishedAt: Date.now(), error: response.error || 'Could not start' });
+    if (!response.success) {
+      updateBadge(tab.id, 'error', 0);
+    }
+  } catch (error) {
+    console.error('Scheduled run failed:', error);
+    await recordScheduleResult(recipe.id, { status: 'failed', finishedAt: Date.now(), error: error.message });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  
+  const recipeId = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+  runScheduledRecipe(recipeId)
+    .catch(error => console.error('Error running schedule:', error))
+    .finally(() => syncScheduleAlarms()); // Arm the next occurrence
+});
+
 // Handle extension icon click
 chrome.action.onClicked.addListener((tab) => {
   console.log('Extension icon clicked for tab:', tab.id);
 });
 
+// A scheduled run's tab went away before the run finished
+async function recordInterruptedSchedule(tabId, stopReason) {
+  const sessions = await loadSessions();
+  const session = sessions[tabId];
+  if (!session || !session.scheduleId) return;
+  
+  await recordScheduleResult(session.scheduleId, {
+    status: 'stopped',
+    finishedAt: Date.now(),
+    totalClicked: session.clickedCount,
+    stopReason: stopReason
+  });
+}
+
 // Clean up when tab is closed or navigated
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === 'loading' && changeInfo.url) {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  const nextPageSession = changeInfo.status ? await getNextPageSession(tabId) : null;
+  
+  if (nextPageSession && changeInfo.status === 'loading') {
+    // Following the next page link - keep the session, the old page's frames are gone
+    console.log('Tab', tabId, 'is loading the next page of its run');
+    await clearFrameRun(tabId);
+    nextPageSession.nextPage.loading = true;
+    chrome.storage.local.set({ activeSessions: await loadSessions() });
+    
+  } else if (nextPageSession && changeInfo.status === 'complete' && nextPageSession.nextPage.loading) {
+    resumeOnNextPage(tabId, nextPageSession).catch(error => {
+      console.error('Error resuming run on next page:', error);
+    });
+    
+  } else if (changeInfo.status === 'loading' && changeInfo.url) {
     // Page is navigating - stop any running automation
     chrome.tabs.sendMessage(tabId, { action: 'stopAutomation' })
       .catch(() => {
         // Content script might not be ready yet, ignore error
       });
+    await clearFrameRun(tabId);
+    await recordInterruptedSchedule(tabId, 'page-unload');
+    endSession(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await clearFrameRun(tabId);
+  await recordInterruptedSchedule(tabId, 'tab-closed');
+  endSession(tabId);
+  
+  // Nobody will open a popup for a closed tab
+  const { pendingCompletions = {} } = await chrome.storage.local.get('pendingCompletions');
+  if (pendingCompletions[tabId]) {
+    delete pendingCompletions[tabId];
+    await chrome.storage.local.set({ pendingCompletions: pendingCompletions });
   }
 });
 
 // Export functions for testing (if needed)
 if (typeof module !== 'undefined') {
   module.exports = {
-    forwardToActiveTab,
-    forwardToPopup
+    forwardToTab,
+    forwardToPopup,
+    mergeScanResults,
+    mergeFrameProgress,
+    mergeFrameCompletion
   };
 }
\ No newline at end of file
@@ -4,69 +4,245 @@ console.log('Auto Click Assistant: Content script loaded');
 // Global state management
 const AutoClickState = {
   isScanning: false,
+  shadowRootCache: null,  // Root -> open shadow roots below it, kept until the current scan yields
   isAutomationRunning: false,
+  isPaused: false,        // Paused from the popup - the run keeps its queue and counters
+  pausedAt: null,         // When the current pause began
+  pausedTime: 0,          // Total ms spent paused (not counted as run time)
+  loopHalted: false,      // The click loop stopped at a step while paused - resume restarts it
   currentButtonList: [],
   clickedButtons: new Set(),
-  selectedPattern: null,
+  selectedTargets: [],    // [{ type: 'text' | 'css' | 'xpath', value, matchMode, maxClicks }]
+  runOrder: 'sequential', // 'sequential' (one pattern after another) | 'interleaved' (document order)
+  buttonTargets: new Map(), // Queued button -> index of the target it belongs to
+  seenButtons: new WeakSet(), // Every button queued this run - pruned ones put back aren't new
+  targetStats: [],        // Per-target { clicked, found, newFound }
   totalClicked: 0,
   startTime: null,
   automationInterval: null,
   originalButtonCount: 0, // Store original count for progress display
-  newButtonsFound: 0      // Track newly discovered buttons
+  newButtonsFound: 0,     // Track newly discovered buttons
+  consecutiveFailures: 0, // Failed clicks in a row (drives backoff delays)
+  delaySettings: {},      // Normalized delay settings for the current run (see updateDelaySettings)
+  stopConditions: {},     // Normalized stop conditions for the current run
+  stopAtTimestamp: null,  // Absolute time for the "stop at clock time" condition
+  verification: {},       // Normalized post-click verification settings
+  verifiedClicks: 0,      // Clicks confirmed by the verification signal
+  unverifiedClicks: 0,    // Clicks without a confirmed effect (or verification off)
+  failedClicks: 0,        // Clicks that threw an error on every attempt
+  retriedClicks: 0,       // Extra attempts made for failed clicks
+  clickResults: [],       // Per-click { label, result, attempts, timestamp, item, page }
+  itemContext: {},        // Normalized settings for the item details recorded with each click
+  exclusions: {},         // Normalized exclusion rules (keywords, regex, inside selector)
+  excludedTargets: [],    // Matches left out of the run: { label, pattern, reason, detail }
+  excludedButtons: new Map(), // Excluded button -> { targetIndex, record }
+  manualOverrides: new WeakMap(), // Alt-clicked button -> true (skip it) | false (keep it despite the rules)
+  discovery: {},          // Normalized discovery driver settings
+  discoveryRounds: 0,     // Scroll / "Load more" rounds run so far
+  emptyDiscoveryRounds: 0, // Rounds in a row that found nothing new
+  pagination: {},         // Normalized "follow next page" settings
+  pageNumber: 1,          // Page of a paginated run this document is (1 = where it started)
+  followingNextPage: false, // Next page link clicked - the background resumes the run after it loads
+  targetObserver: null,   // MutationObserver keeping the queue in sync with the DOM
+  pendingMutations: [],   // Mutation records waiting for the next flush
+  mutationFlushTimer: null,
+  clickingButton: null    // Button currently being clicked (never pruned mid-click)
 };
 
 // ===========================================
 // BUTTON DETECTION & ANALYSIS FUNCTIONS
 // ===========================================
 
+// Elements that behave like buttons even when they aren't <button> tags
+const CLICKABLE_SELECTOR = [
+  'button',
+  'input[type="submit"]',
+  'input[type="button"]',
+  '[role="button"]'
+].join(', ');
+
+/**
+ * Check whether an element is visible and can currently be clicked
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if element is visible and enabled
+ */
+function isClickableElement(element) {
+  const style = window.getComputedStyle(element);
+  return (
+    element.offsetParent !== null && // Not hidden
+    !element.disabled && // Not disabled
+    element.getAttribute('aria-disabled') !== 'true' && // Not disabled via ARIA
+    style.visibility !== 'hidden' && // Not visibility hidden
+    style.display !== 'none' // Not display none
+  );
+}
+
+/**
+ * Get the label used to group and match a button.
+ * Falls back from visible text to the accessible name (aria-label, title, value)
+ * so icon-only buttons still get a usable label.
+ * @param {Element} button - Button element
+ * @returns {string} Trimmed label, or empty string if none found
+ */
+function getButtonLabel(button) {
+  const visibleText = (button.innerText || '').trim();
+  if (visibleText) return visibleText;
+  
+  const ariaLabel = (button.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) return ariaLabel;
+  
+  const title = (button.getAttribute('title') || '').trim();
+  if (title) return title;
+  
+  if (button.tagName === 'INPUT') {
+    return (button.value || '').trim();
+  }
+  
+  return '';
+}
+
+/**
+ * Get the open shadow roots below a root, including nested ones.
+ * Web-component storefronts render their buttons inside these.
+ * A scan queries the same root once per pattern, so the walk is done once and
+ * reused until the scan yields (page scripts can't attach new roots before that).
+ * @param {Document|Element|ShadowRoot} root - Where to search
+ * @returns {Array} Array of ShadowRoot objects
+ */
+function getOpenShadowRoots(root) {
+  if (!AutoClickState.shadowRootCache) {
+    AutoClickState.shadowRootCache = new Map();
+    queueMicrotask(() => {
+      AutoClickState.shadowRootCache = null;
+    });
+  }
+  
+  if (!AutoClickState.shadowRootCache.has(root)) {
+    AutoClickState.shadowRootCache.set(root, findOpenShadowRoots(root));
+  }
+  return AutoClickState.shadowRootCache.get(root);
+}
+
+/**
+ * Walk a subtree for open shadow roots, including nested ones
+ * @param {Document|Element|ShadowRoot} root - Where to search
+ * @returns {Array} Array of ShadowRoot objects
+ */
+function findOpenShadowRoots(root) {
+  const shadowRoots = [];
+  const hosts = Array.from(root.querySelectorAll('*'));
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    hosts.unshift(root);
+  }
+  
+  hosts.forEach(host => {
+    if (host.shadowRoot) {
+      shadowRoots.push(host.shadowRoot, ...findOpenShadowRoots(host.shadowRoot));
+    }
+  });
+  
+  return shadowRoots;
+}
+
 /**
- * Get all button elements currently on the page
- * @returns {Array} Array of button elements
+ * querySelectorAll that also considers the root element itself and
+ * searches inside open shadow roots
+ * @param {Document|Element|ShadowRoot} root - Where to search
+ * @param {string} selector - CSS selector
+ * @returns {Array} Matching elements
  */
-function getAllButtonsOnPage() {
+function querySelectorAllFrom(root, selector) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+    matches.unshift(root);
+  }
+  
+  getOpenShadowRoots(root).forEach(shadowRoot => {
+    matches.push(...shadowRoot.querySelectorAll(selector));
+  });
+  
+  return matches;
+}
+
+/**
+ * Get all button-like elements currently on the page
+ * @param {Document|Element} root - Limit the search to this subtree (default: whole page)
+ * @returns {Array} Array of clickable elements with a label
+ */
+function getAllButtonsOnPage(root = document) {
   console.log('Scanning for buttons on page...');
   
-  // Focus on <button> tags as per user requirement
-  const buttons = document.querySelectorAll('button');
-  
-  // Filter out hidden, disabled, or non-clickable buttons
-  const visibleButtons = Array.from(buttons).filter(button => {
-    const style = window.getComputedStyle(button);
-    return (
-      button.offsetParent !== null && // Not hidden
-      !button.disabled && // Not disabled
-      style.visibility !== 'hidden' && // Not visibility hidden
-      style.display !== 'none' && // Not display none
-      button.innerText.trim() !== '' // Has text content
-    );
+  const candidates = querySelectorAllFrom(root, CLICKABLE_SELECTOR);
+  const candidateSet = new Set(candidates);
+  
+  // Filter out hidden, disabled, or unlabeled buttons
+  const isUsable = (button) => isClickableElement(button) && getButtonLabel(button) !== '';
+  const visibleButtons = candidates.filter(button => {
+    // Prefer the innermost control when role="button" wrappers nest real buttons,
+    // otherwise the same control would be counted (and clicked) twice. A bare inner
+    // icon button (aria-label only on the wrapper) leaves the wrapper as the target.
+    const nestedCandidates = button.querySelectorAll(CLICKABLE_SELECTOR);
+    if (Array.from(nestedCandidates).some(child => candidateSet.has(child) && isUsable(child))) {
+      return false;
+    }
+    
+    return isUsable(button);
   });
   
-  console.log(`Found ${visibleButtons.length} clickable buttons with text`);
+  console.log(`Found ${visibleButtons.length} clickable buttons with a label`);
   return visibleButtons;
 }
 
 /**
- * Group buttons by their exact innerText
+ * Normalize a label so near-identical variants compare equal.
+ * "Clip Coupon", "Clip coupon (2)" and "clip coupon" all become "clip coupon";
+ * "Add ($2.99)" becomes "add".
+ * @param {string} label - Button label
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label) {
+  const normalized = label
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')                  // Parenthesized details like "(2)" or "($2.99)"
+    .replace(/[$€£¥]\s*\d+(?:[.,]\d+)?/g, ' ')    // Prices
+    .replace(/\d+(?:[.,]\d+)?/g, ' ')             // Counts and other numbers
+    .replace(/[^\p{L}\s]/gu, ' ')                // Punctuation and symbols
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  // Labels made only of numbers/symbols would collapse to nothing
+  return normalized || label.toLowerCase().trim();
+}
+
+/**
+ * Group buttons by their label (visible text or accessible name)
  * @param {Array} buttons - Array of button elements
- * @returns {Object} Object with pattern counts and elements
+ * @param {boolean} normalize - Collapse near-identical labels into one group
+ * @returns {Object} Object with pattern counts, elements and label variants
  */
-function groupButtonsByText(buttons) {
-  console.log('Grouping buttons by text patterns...');
+function groupButtonsByText(buttons, normalize = false) {
+  console.log(`Grouping buttons by text patterns (normalize: ${normalize})...`);
   
   const patterns = {};
   
   buttons.forEach(button => {
-    const text = button.innerText.trim();
+    const text = getButtonLabel(button);
+    const key = normalize ? normalizeLabel(text) : text;
     
-    if (!patterns[text]) {
-      patterns[text] = {
+    if (!patterns[key]) {
+      patterns[key] = {
+        text: text, // First label seen is used for display
         count: 0,
-        elements: []
+        elements: [],
+        variants: []
       };
     }
     
-    patterns[text].count++;
-    patterns[text].elements.push(button);
+    patterns[key].count++;
+    patterns[key].elements.push(button);
+    if (!patterns[key].variants.includes(text)) {
+      patterns[key].variants.push(text);
+    }
   });
   
   console.log('Button patterns found:', Object.keys(patterns).length);
@@ -75,18 +251,22 @@ function groupButtonsByText(buttons) {
 
 /**
  * Generate button patterns for popup display
+ * @param {boolean} normalize - Collapse near-identical labels into one entry
  * @returns {Array} Array of pattern objects for dropdown
  */
-function generateButtonPatterns() {
+function generateButtonPatterns(normalize = false) {
   console.log('Generating button patterns for popup...');
   
   const buttons = getAllButtonsOnPage();
-  const grouped = groupButtonsByText(buttons);
+  const grouped = groupButtonsByText(buttons, normalize);
   
-  // Convert to array format for popup dropdown
-  const patterns = Object.entries(grouped).map(([text, data]) => ({
-    text: text,
+  // Convert to array format for popup dropdown. Normalized groups need the
+  // "similar" match mode, otherwise only the displayed variant would match.
+  const patterns = Object.values(grouped).map(data => ({
+    text: data.text,
     count: data.count,
+    variants: data.variants,
+    matchMode: normalize ? MATCH_MODES.SIMILAR : MATCH_MODES.EXACT,
     elements: data.elements
   }));
   
@@ -100,6 +280,232 @@ function generateButtonPatterns() {
   return patterns;
 }
 
+// ===========================================
+// TARGETING FUNCTIONS
+// ===========================================
+
+// Supported ways of describing which elements to click
+const TARGET_TYPES = {
+  TEXT: 'text',
+  CSS: 'css',
+  XPATH: 'xpath'
+};
+
+// Ways a text pattern can be compared against button labels
+const MATCH_MODES = {
+  EXACT: 'exact',
+  CASE_INSENSITIVE: 'case-insensitive',
+  CONTAINS: 'contains',
+  STARTS_WITH: 'starts-with',
+  REGEX: 'regex',
+  SIMILAR: 'similar' // Compare normalized labels (used by grouped dropdown entries)
+};
+
+/**
+ * Collapse whitespace and lowercase a label for case-insensitive comparisons
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldCase(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Create a function that tests button labels against a text pattern
+ * @param {string} pattern - Text pattern
+ * @param {string} matchMode - One of MATCH_MODES
+ * @returns {Function} Function taking a label and returning true on match
+ */
+function createTextMatcher(pattern, matchMode = MATCH_MODES.EXACT) {
+  switch (matchMode) {
+    case MATCH_MODES.CASE_INSENSITIVE: {
+      const folded = foldCase(pattern);
+      return label => foldCase(label) === folded;
+    }
+      
+    case MATCH_MODES.CONTAINS: {
+      const folded = foldCase(pattern);
+      return label => foldCase(label).includes(folded);
+    }
+      
+    case MATCH_MODES.STARTS_WITH: {
+      const folded = foldCase(pattern);
+      return label => foldCase(label).startsWith(folded);
+    }
+      
+    case MATCH_MODES.REGEX: {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${pattern}`);
+      }
+      return label => regex.test(label);
+    }
+      
+    case MATCH_MODES.SIMILAR: {
+      const normalized = normalizeLabel(pattern);
+      return label => normalizeLabel(label) === normalized;
+    }
+      
+    default:
+      return label => label === pattern;
+  }
+}
+
+/**
+ * Normalize a target from a message into a { type, value } object.
+ * Plain strings are treated as text patterns for backwards compatibility.
+ * @param {Object|string} target - Target object or text pattern
+ * @returns {Object|null} Normalized target or null if empty
+ */
+function normalizeTarget(target) {
+  if (!target) return null;
+  
+  if (typeof target === 'string') {
+    return { type: TARGET_TYPES.TEXT, value: target };
+  }
+  
+  const type = Object.values(TARGET_TYPES).includes(target.type) ? target.type : TARGET_TYPES.TEXT;
+  const value = typeof target.value === 'string' ? target.value.trim() : '';
+  if (!value) return null;
+  
+  if (type !== TARGET_TYPES.TEXT) {
+    return { type: type, value: value };
+  }
+  
+  const matchMode = Object.values(MATCH_MODES).includes(target.matchMode) ? 
+    target.matchMode : MATCH_MODES.EXACT;
+  return { type: type, value: value, matchMode: matchMode };
+}
+
+/**
+ * Get a human readable description of a target for logs and stats
+ * @param {Object} target - Normalized target
+ * @returns {string} Target description
+ */
+function describeTarget(target) {
+  if (!target) return '';
+  if (target.type === TARGET_TYPES.CSS) return `CSS: ${target.value}`;
+  if (target.type === TARGET_TYPES.XPATH) return `XPath: ${target.value}`;
+  if (target.matchMode === MATCH_MODES.REGEX) return `/${target.value}/i`;
+  if (target.matchMode && target.matchMode !== MATCH_MODES.EXACT) {
+    return `${target.value} (${target.matchMode})`;
+  }
+  return target.value;
+}
+
+/**
+ * Find clickable elements matching a CSS selector
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} root - Limit the search to this subtree (default: whole page)
+ * @returns {Array} Array of matching clickable elements
+ */
+function findElementsBySelector(selector, root = document) {
+  let matches;
+  try {
+    matches = querySelectorAllFrom(root, selector);
+  } catch (error) {
+    throw new Error(`Invalid CSS selector: ${selector}`);
+  }
+  
+  return matches.filter(isClickableElement);
+}
+
+/**
+ * Find clickable elements matching an XPath expression
+ * @param {string} expression - XPath expression
+ * @param {Document|Element} root - Only keep matches inside this subtree (default: whole page)
+ * @returns {Array} Array of matching clickable elements
+ */
+function findElementsByXPath(expression, root = document) {
+  let snapshot;
+  try {
+    snapshot = document.evaluate(
+      expression,
+      document,
+      null,
+      XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
+  } catch (error) {
+    throw new Error(`Invalid XPath expression: ${expression}`);
+  }
+  
+  const elements = [];
+  for (let i = 0; i < snapshot.snapshotLength; i++) {
+    const node = snapshot.snapshotItem(i);
+    // XPath can select text or attribute nodes - only elements can be clicked.
+    // Absolute expressions ignore the context node, so filter by root afterwards.
+    if (node.nodeType === Node.ELEMENT_NODE && isClickableElement(node) &&
+        (root === document || root.contains(node))) {
+      elements.push(node);
+    }
+  }
+  
+  return elements;
+}
+
+/**
+ * Find all clickable elements on the page matching a target
+ * @param {Object} target - Normalized target
+ * @param {Document|Element} root - Limit the search to this subtree (default: whole page)
+ * @returns {Array} Array of matching elements in document order
+ */
+function findMatchingButtons(target, root = document) {
+  if (!target) return [];
+  
+  switch (target.type) {
+    case TARGET_TYPES.CSS:
+      return findElementsBySelector(target.value, root);
+      
+    case TARGET_TYPES.XPATH:
+      return findElementsByXPath(target.value, root);
+      
+    default: {
+      const matchesLabel = createTextMatcher(target.value, target.matchMode);
+      return getAllButtonsOnPage(root).filter(button => 
+        matchesLabel(getButtonLabel(button))
+      );
+    }
+  }
+}
+
+/**
+ * Find elements that match a target but are left out of runs because they
+ * are hidden or disabled (used by the preview to report them)
+ * @param {Object} target - Normalized target (selector already known to be valid)
+ * @returns {Array} Matching elements that can't be clicked
+ */
+function findUnclickableMatches(target) {
+  let candidates = [];
+  
+  switch (target.type) {
+    case TARGET_TYPES.CSS:
+      candidates = querySelectorAllFrom(document, target.value);
+      break;
+      
+    case TARGET_TYPES.XPATH: {
+      const snapshot = document.evaluate(
+        target.value, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null
+      );
+      for (let i = 0; i < snapshot.snapshotLength; i++) {
+        const node = snapshot.snapshotItem(i);
+        if (node.nodeType === Node.ELEMENT_NODE) candidates.push(node);
+      }
+      break;
+    }
+      
+    default: {
+      const matchesLabel = createTextMatcher(target.value, target.matchMode);
+      candidates = querySelectorAllFrom(document, CLICKABLE_SELECTOR)
+        .filter(button => matchesLabel(getButtonLabel(button)));
+    }
+  }
+  
+  return candidates.filter(element => !isClickableElement(element));
+}
+
 // ===========================================
 // VISUAL FEEDBACK FUNCTIONS  
 // ===========================================
@@ -107,10 +513,17 @@ function generateButtonPatterns() {
 /**
  * Add highlight styling to a button
  * @param {Element} button - Button element to highlight
- * @param {string} color - Color for highlight (yellow/green)
+ * @param {string} color - Color for highlight (yellow/green/orange/red/purple)
  */
 function addHighlightToButton(button, color = 'yellow') {
-  const highlightColor = color === 'green' ? '#28a745' : '#ffc107';
+  const highlightColors = {
+    yellow: '#ffc107',
+    green: '#28a745',
+    orange: '#fd7e14',
+    red: '#dc3545',
+    purple: '#6f42c1' // Excluded from the run
+  };
+  const highlightColor = highlightColors[color] || highlightColors.yellow;
   
   button.style.border = `3px solid ${highlightColor}`;
   button.style.boxShadow = `0 0 0 2px ${highlightColor}40`;
@@ -134,174 +547,2142 @@ function removeHighlightFromButton(button) {
  * Remove all highlights from page
  */
 function removeAllHighlights() {
-  const highlightedButtons = document.querySelectorAll('[data-auto-click-highlight]');
+  clearPreview();
+  
+  const highlightedButtons = querySelectorAllFrom(document, '[data-auto-click-highlight]');
   highlightedButtons.forEach(button => {
     removeHighlightFromButton(button);
     // Also clean up counting and new button attributes
     button.removeAttribute('data-auto-click-counted');
     button.removeAttribute('data-auto-click-new');
   });
-  console.log(`Removed highlights from ${highlightedButtons.length} buttons`);
+  console.log(`Removed highlights from ${highlightedButtons.length} buttons`);
+}
+
+/**
+ * Highlight all buttons matching the selected target(s).
+ * Matches the exclusion rules leave out get the excluded (purple) color.
+ * @param {Object|Array} targets - Normalized target or array of targets
+ * @returns {Array} Array of highlighted elements
+ */
+function highlightButtonsByPattern(targets) {
+  const targetList = (Array.isArray(targets) ? targets : [targets]).filter(Boolean);
+  const description = targetList.map(describeTarget).join(' + ');
+  console.log(`Highlighting buttons with pattern: "${description}"`);
+  
+  // Remove existing highlights first
+  removeAllHighlights();
+  
+  // Find all buttons matching any target (a button is only highlighted once)
+  const matchingButtons = new Set();
+  targetList.forEach(target => {
+    findMatchingButtons(target).forEach(button => matchingButtons.add(button));
+  });
+  
+  // Highlight matching buttons
+  const targetCounts = countTargetsPerAncestor(matchingButtons);
+  matchingButtons.forEach(button => {
+    addHighlightToButton(button, getExclusionReason(button, targetCounts) ? 'purple' : 'yellow');
+  });
+  
+  console.log(`Highlighted ${matchingButtons.size} buttons with pattern "${description}"`);
+  return Array.from(matchingButtons);
+}
+
+// ===========================================
+// ELEMENT PICKER FUNCTIONS
+// ===========================================
+
+// Picker UI state (separate from automation state)
+const PickerState = {
+  isActive: false,
+  overlay: null,
+  tooltip: null,
+  hoveredElement: null
+};
+
+// Attributes commonly added for testing/automation - these rarely change between deploys
+const STABLE_ATTRIBUTES = [
+  'data-testid',
+  'data-test-id',
+  'data-test',
+  'data-qa',
+  'data-cy',
+  'data-automation-id',
+  'data-action',
+  'name'
+];
+
+// Class names that describe a transient UI state rather than the element itself
+const STATE_CLASS_PATTERN = /^(is-|has-)|(^|-)(active|hover|focus|focused|selected|disabled|open|visible|hidden|loading)$/i;
+
+/**
+ * Check whether an id/class/attribute value looks hand-written rather than generated.
+ * Generated tokens (CSS-in-JS hashes, numeric ids) change between page loads.
+ * @param {string} token - Token to check
+ * @returns {boolean} True if token looks stable
+ */
+function isStableToken(token) {
+  if (!token || token.length > 40) return false;
+  if (/\d{3,}/.test(token)) return false; // Long numeric runs (ids, timestamps)
+  if (/^(css|sc|jsx|emotion|styled|svelte)-/i.test(token)) return false; // CSS-in-JS prefixes
+  if (/^[a-z0-9_-]{6,}$/i.test(token) && /\d/.test(token) && /[a-z]/i.test(token) && !/[-_]/.test(token)) {
+    return false; // Hash-like tokens such as "a1b2c3d"
+  }
+  return true;
+}
+
+/**
+ * Get the stable, non-state class names of an element
+ * @param {Element} element - Element to inspect
+ * @returns {Array} Array of class names (max 3)
+ */
+function getStableClasses(element) {
+  return Array.from(element.classList)
+    .filter(className => isStableToken(className) && !STATE_CLASS_PATTERN.test(className))
+    .slice(0, 3);
+}
+
+/**
+ * Build an attribute selector for the most stable attribute of an element
+ * @param {Element} element - Element to inspect
+ * @returns {string} Attribute selector or empty string if none is stable
+ */
+function getStableAttributeSelector(element) {
+  for (const attribute of STABLE_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (value && isStableToken(value)) {
+      return `[${attribute}="${CSS.escape(value)}"]`;
+    }
+  }
+  
+  // Fall back to any other short data-* attribute
+  for (const attribute of Array.from(element.attributes)) {
+    if (attribute.name.startsWith('data-') && 
+        !attribute.name.startsWith('data-auto-click') &&
+        attribute.value && isStableToken(attribute.value)) {
+      return `[${attribute.name}="${CSS.escape(attribute.value)}"]`;
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Build a selector describing "elements like this one" without positional info
+ * @param {Element} element - Element to describe
+ * @param {Object} options - Which parts to include ({ attributes, classes })
+ * @returns {string} CSS selector
+ */
+function buildElementSignature(element, options = { attributes: true, classes: true }) {
+  let selector = element.tagName.toLowerCase();
+  
+  if (options.attributes) {
+    const role = element.getAttribute('role');
+    if (role) selector += `[role="${CSS.escape(role)}"]`;
+    selector += getStableAttributeSelector(element);
+  }
+  
+  if (options.classes) {
+    selector += getStableClasses(element).map(className => `.${CSS.escape(className)}`).join('');
+  }
+  
+  return selector;
+}
+
+/**
+ * Build a selector that matches exactly one element
+ * @param {Element} element - Element to describe
+ * @returns {string} Unique CSS selector
+ */
+function buildUniqueSelector(element) {
+  const segments = [];
+  let current = element;
+  
+  while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+    if (current.id && isStableToken(current.id)) {
+      segments.unshift(`#${CSS.escape(current.id)}`);
+    } else {
+      let segment = buildElementSignature(current);
+      
+      // Disambiguate between siblings with the same tag
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTagSiblings.length > 1) {
+          segment += `:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`;
+        }
+      }
+      segments.unshift(segment);
+    }
+    
+    const selector = segments.join(' > ');
+    if (querySelectorAllFrom(document, selector).length === 1) {
+      return selector;
+    }
+    
+    current = current.parentElement;
+  }
+  
+  return segments.join(' > ');
+}
+
+/**
+ * Find the nearest ancestor with a stable selector that holds several similar elements
+ * (e.g. the coupon grid or product list the picked element lives in)
+ * @param {Element} element - Picked element
+ * @param {string} signature - Selector describing similar elements
+ * @returns {string} Container selector or empty string if none found
+ */
+function findStableContainerSelector(element, signature) {
+  let current = element.parentElement;
+  
+  while (current && current !== document.body) {
+    let containerSelector = '';
+    
+    if (current.id && isStableToken(current.id)) {
+      containerSelector = `#${CSS.escape(current.id)}`;
+    } else {
+      const attributeSelector = getStableAttributeSelector(current);
+      const classes = getStableClasses(current);
+      if (attributeSelector || classes.length > 0) {
+        containerSelector = buildElementSignature(current);
+      }
+    }
+    
+    if (containerSelector && current.querySelectorAll(signature).length > 1) {
+      return containerSelector;
+    }
+    
+    current = current.parentElement;
+  }
+  
+  return '';
+}
+
+/**
+ * Build the list of selector options for a picked element, from narrowest to widest
+ * @param {Element} element - Picked element
+ * @returns {Array} Array of { scope, label, selector, count } options
+ */
+function buildSelectorOptions(element) {
+  const signature = buildElementSignature(element);
+  const containerSelector = findStableContainerSelector(element, signature);
+  
+  const candidates = [
+    { scope: 'element', label: 'This element only', selector: buildUniqueSelector(element) },
+    { scope: 'container', label: 'Same container', selector: containerSelector ? `${containerSelector} ${signature}` : '' },
+    { scope: 'attributes', label: 'Same attributes', selector: buildElementSignature(element, { attributes: true, classes: false }) },
+    { scope: 'class', label: 'Same class', selector: buildElementSignature(element, { attributes: false, classes: true }) }
+  ];
+  
+  const seen = new Set();
+  const options = [];
+  
+  candidates.forEach(candidate => {
+    if (!candidate.selector || seen.has(candidate.selector)) return;
+    
+    // A bare tag name (e.g. "button") is too broad to be useful as a scope
+    if (candidate.scope !== 'element' && candidate.selector === element.tagName.toLowerCase()) return;
+    
+    const count = findElementsBySelector(candidate.selector).length;
+    if (count === 0) return;
+    
+    seen.add(candidate.selector);
+    options.push({ ...candidate, count: count });
+  });
+  
+  // Order narrow to wide so the popup can offer "widen" / "narrow" in sequence
+  options.sort((a, b) => a.count - b.count);
+  
+  return options;
+}
+
+/**
+ * Resolve the element the picker should use for a pointer event.
+ * Clicking an icon inside a button should pick the button itself, and
+ * events from inside open shadow roots use the real target, not the host.
+ * @param {Event} event - Pointer/mouse event
+ * @returns {Element} Element to pick
+ */
+function resolvePickerTarget(event) {
+  const path = event.composedPath ? event.composedPath() : [];
+  const target = path.find(node => node.nodeType === Node.ELEMENT_NODE) || event.target;
+  return target.closest(CLICKABLE_SELECTOR) || target;
+}
+
+/**
+ * Position the hover overlay over an element
+ * @param {Element} element - Hovered element
+ */
+function updatePickerOverlay(element) {
+  const rect = element.getBoundingClientRect();
+  
+  Object.assign(PickerState.overlay.style, {
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
+    display: 'block'
+  });
+  
+  const label = getButtonLabel(element);
+  PickerState.tooltip.textContent = `${element.tagName.toLowerCase()}${label ? ` — ${label.slice(0, 40)}` : ''}`;
+  Object.assign(PickerState.tooltip.style, {
+    top: `${Math.max(0, rect.top - 24)}px`,
+    left: `${rect.left}px`,
+    display: 'block'
+  });
+}
+
+/**
+ * Handle mouse movement while picking
+ * @param {MouseEvent} event - Mouse event
+ */
+function handlePickerMouseMove(event) {
+  const element = resolvePickerTarget(event);
+  if (element === PickerState.hoveredElement) return;
+  
+  PickerState.hoveredElement = element;
+  updatePickerOverlay(element);
+}
+
+/**
+ * Swallow pointer events so the page doesn't react while picking
+ * @param {Event} event - Pointer/mouse event
+ */
+function blockPickerEvent(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  event.stopImmediatePropagation();
+}
+
+/**
+ * Handle the click that picks an element
+ * @param {MouseEvent} event - Click event
+ */
+function handlePickerClick(event) {
+  blockPickerEvent(event);
+  
+  const element = resolvePickerTarget(event);
+  stopElementPicker();
+  
+  const options = buildSelectorOptions(element);
+  console.log('Element picked, selector options:', options);
+  
+  // Preview the narrowest option that matches more than one element
+  const defaultOption = options.find(option => option.count > 1) || options[0];
+  if (defaultOption) {
+    highlightButtonsByPattern({ type: TARGET_TYPES.CSS, value: defaultOption.selector });
+  }
+  
+  // The popup is closed while picking, so hand the result to the background script
+  chrome.runtime.sendMessage({
+    action: 'elementPicked',
+    result: {
+      label: getButtonLabel(element),
+      options: options,
+      defaultSelector: defaultOption ? defaultOption.selector : '',
+      url: window.location.href
+    }
+  }).catch((error) => {
+    console.error('Error sending picked element:', error);
+  });
+}
+
+/**
+ * Cancel picking on Escape
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handlePickerKeyDown(event) {
+  if (event.key === 'Escape') {
+    blockPickerEvent(event);
+    stopElementPicker();
+    console.log('Element picker cancelled');
+  }
+}
+
+/**
+ * Start the on-page element picker
+ */
+function startElementPicker() {
+  if (PickerState.isActive) return;
+  
+  console.log('Starting element picker...');
+  removeAllHighlights();
+  
+  PickerState.overlay = document.createElement('div');
+  PickerState.overlay.setAttribute('data-auto-click-picker', 'overlay');
+  Object.assign(PickerState.overlay.style, {
+    position: 'fixed',
+    zIndex: '2147483647',
+    pointerEvents: 'none',
+    border: '2px dashed #667eea',
+    background: 'rgba(102, 126, 234, 0.15)',
+    borderRadius: '4px',
+    display: 'none'
+  });
+  
+  PickerState.tooltip = document.createElement('div');
+  PickerState.tooltip.setAttribute('data-auto-click-picker', 'tooltip');
+  Object.assign(PickerState.tooltip.style, {
+    position: 'fixed',
+    zIndex: '2147483647',
+    pointerEvents: 'none',
+    background: '#667eea',
+    color: 'white',
+    font: '12px -apple-system, BlinkMacSystemFont, sans-serif',
+    padding: '3px 6px',
+    borderRadius: '3px',
+    whiteSpace: 'nowrap',
+    display: 'none'
+  });
+  
+  document.documentElement.appendChild(PickerState.overlay);
+  document.documentElement.appendChild(PickerState.tooltip);
+  
+  // Capture phase so the page's own handlers never see picker clicks
+  document.addEventListener('mousemove', handlePickerMouseMove, true);
+  document.addEventListener('pointerdown', blockPickerEvent, true);
+  document.addEventListener('pointerup', blockPickerEvent, true);
+  document.addEventListener('mousedown', blockPickerEvent, true);
+  document.addEventListener('mouseup', blockPickerEvent, true);
+  document.addEventListener('click', handlePickerClick, true);
+  document.addEventListener('keydown', handlePickerKeyDown, true);
+  
+  PickerState.isActive = true;
+}
+
+/**
+ * Stop the element picker and remove its overlay
+ */
+function stopElementPicker() {
+  if (!PickerState.isActive) return;
+  
+  document.removeEventListener('mousemove', handlePickerMouseMove, true);
+  document.removeEventListener('pointerdown', blockPickerEvent, true);
+  document.removeEventListener('pointerup', blockPickerEvent, true);
+  document.removeEventListener('mousedown', blockPickerEvent, true);
+  document.removeEventListener('mouseup', blockPickerEvent, true);
+  document.removeEventListener('click', handlePickerClick, true);
+  document.removeEventListener('keydown', handlePickerKeyDown, true);
+  
+  if (PickerState.overlay) PickerState.overlay.remove();
+  if (PickerState.tooltip) PickerState.tooltip.remove();
+  
+  PickerState.isActive = false;
+  PickerState.overlay = null;
+  PickerState.tooltip = null;
+  PickerState.hoveredElement = null;
+}
+
+// ===========================================
+// DELAY ENGINE
+// ===========================================
+
+// Ways the delay between clicks can be computed
+const DELAY_STRATEGIES = {
+  FIXED: 'fixed',       // Always intervalMs
+  UNIFORM: 'uniform',   // Random between minMs and maxMs
+  GAUSSIAN: 'gaussian', // Normally distributed around intervalMs with jitterMs std dev
+  BACKOFF: 'backoff'    // intervalMs, multiplied by backoffFactor per consecutive failure
+};
+
+// All values in milliseconds (popup converts from the user's unit)
+const DEFAULT_DELAY_SETTINGS = {
+  strategy: DELAY_STRATEGIES.FIXED,
+  intervalMs: 2000,
+  minMs: 1000,
+  maxMs: 3000,
+  jitterMs: 500,
+  backoffFactor: 2,
+  maxBackoffMs: 60000,
+  scrollWaitMs: 1000
+};
+
+/**
+ * Fill in missing delay settings and clamp values to sane ranges
+ * @param {Object} settings - Delay settings (possibly partial)
+ * @returns {Object} Complete delay settings
+ */
+function normalizeDelaySettings(settings = {}) {
+  const normalized = { ...DEFAULT_DELAY_SETTINGS };
+  
+  Object.keys(DEFAULT_DELAY_SETTINGS).forEach(key => {
+    if (key === 'strategy') return;
+    const value = Number(settings[key]);
+    if (Number.isFinite(value) && value >= 0) {
+      normalized[key] = value;
+    }
+  });
+  
+  if (Object.values(DELAY_STRATEGIES).includes(settings.strategy)) {
+    normalized.strategy = settings.strategy;
+  }
+  
+  // Keep the range valid even if the user swapped min and max
+  if (normalized.minMs > normalized.maxMs) {
+    [normalized.minMs, normalized.maxMs] = [normalized.maxMs, normalized.minMs];
+  }
+  normalized.backoffFactor = Math.max(1, normalized.backoffFactor);
+  
+  return normalized;
+}
+
+/**
+ * Sample from a standard normal distribution (Box-Muller transform)
+ * @returns {number} Normally distributed number with mean 0 and std dev 1
+ */
+function sampleStandardNormal() {
+  const u = 1 - Math.random(); // (0, 1] so log() is finite
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Compute the delay before the next click
+ * @param {Object} settings - Normalized delay settings
+ * @param {number} consecutiveFailures - Failed clicks in a row
+ * @returns {number} Delay in milliseconds
+ */
+function computeNextDelay(settings, consecutiveFailures = 0) {
+  let delay;
+  
+  switch (settings.strategy) {
+    case DELAY_STRATEGIES.UNIFORM:
+      delay = settings.minMs + Math.random() * (settings.maxMs - settings.minMs);
+      break;
+      
+    case DELAY_STRATEGIES.GAUSSIAN:
+      delay = settings.intervalMs + sampleStandardNormal() * settings.jitterMs;
+      break;
+      
+    case DELAY_STRATEGIES.BACKOFF: {
+      const backoff = settings.intervalMs * Math.pow(settings.backoffFactor, consecutiveFailures);
+      delay = Math.min(backoff, Math.max(settings.maxBackoffMs, settings.intervalMs));
+      break;
+    }
+      
+    default:
+      delay = settings.intervalMs;
+  }
+  
+  delay = Math.max(0, Math.round(delay));
+  console.log(`computeNextDelay: strategy=${settings.strategy}, failures=${consecutiveFailures}, delay=${delay}ms`);
+  return delay;
+}
+
+/**
+ * Estimate how long clicking a number of buttons takes (no failures, no verification waits)
+ * @param {number} clickCount - Buttons to click
+ * @param {Object} settings - Normalized delay settings
+ * @returns {number} Duration in milliseconds
+ */
+function estimateRunDuration(clickCount, settings) {
+  if (clickCount === 0) return 0;
+  
+  // Average delay: the middle of the range for uniform delays, intervalMs otherwise
+  const averageDelay = settings.strategy === DELAY_STRATEGIES.UNIFORM ? 
+    (settings.minMs + settings.maxMs) / 2 : settings.intervalMs;
+  
+  return Math.round(clickCount * settings.scrollWaitMs + (clickCount - 1) * averageDelay);
+}
+
+// ===========================================
+// CLICK VERIFICATION
+// ===========================================
+
+// Signals that confirm a click did something
+const VERIFY_MODES = {
+  NONE: 'none',                         // Don't verify - every click counts as unverified
+  LABEL_CHANGE: 'label-change',         // e.g. "Clip" -> "Clipped"
+  DISABLED_OR_REMOVED: 'disabled-or-removed',
+  SELECTOR_APPEARS: 'selector-appears', // e.g. a toast or "added" badge
+  ANY: 'any'                            // Any of the above
+};
+
+// Outcome of a single click
+const CLICK_RESULTS = {
+  SUCCESS: 'success',       // Verification signal seen
+  UNVERIFIED: 'unverified', // Clicked, verification disabled (or only the element's state changed)
+  NO_EFFECT: 'no-effect',   // Clicked, but no signal before the timeout
+  ERROR: 'error'            // click() threw
+};
+
+const DEFAULT_VERIFICATION = {
+  mode: VERIFY_MODES.NONE,
+  selector: '',
+  timeoutMs: 3000,
+  maxRetries: 2
+};
+
+/**
+ * Fill in missing verification settings
+ * @param {Object} settings - Verification settings (possibly partial)
+ * @returns {Object} Complete verification settings
+ */
+function normalizeVerification(settings = {}) {
+  const normalized = { ...DEFAULT_VERIFICATION };
+  
+  if (Object.values(VERIFY_MODES).includes(settings.mode)) {
+    normalized.mode = settings.mode;
+  }
+  if (typeof settings.selector === 'string') {
+    normalized.selector = settings.selector.trim();
+  }
+  
+  const timeoutMs = Number(settings.timeoutMs);
+  if (Number.isFinite(timeoutMs) && timeoutMs >= 0) normalized.timeoutMs = timeoutMs;
+  
+  const maxRetries = parseInt(settings.maxRetries, 10);
+  if (maxRetries >= 0) normalized.maxRetries = maxRetries;
+  
+  // Selector mode without a selector can never succeed
+  if (normalized.mode === VERIFY_MODES.SELECTOR_APPEARS && !normalized.selector) {
+    normalized.mode = VERIFY_MODES.NONE;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Count elements matching the verification selector, ignoring invalid selectors
+ * @param {string} selector - CSS selector
+ * @returns {number} Number of visible matches
+ */
+function countVerificationMatches(selector) {
+  if (!selector) return 0;
+  
+  try {
+    return findElementsBySelector(selector).length;
+  } catch (error) {
+    console.error('Invalid verification selector:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Capture the state of a button right before clicking it
+ * @param {Element} button - Button about to be clicked
+ * @param {Object} verification - Verification settings
+ * @returns {Object} Snapshot used by hasClickEffect()
+ */
+function captureButtonSnapshot(button, verification) {
+  return {
+    label: getButtonLabel(button),
+    selectorCount: countVerificationMatches(verification.selector)
+  };
+}
+
+/**
+ * Attributes (classes, aria-pressed, ...) and checked state of an element,
+ * ignoring the highlight styles and markers the extension adds itself
+ * @param {Element} element - Element to read
+ * @returns {string} State signature to compare between click attempts
+ */
+function getElementState(element) {
+  const state = Array.from(element.attributes)
+    .filter(attribute => attribute.name !== 'style' && !attribute.name.startsWith('data-auto-click'))
+    .map(attribute => `${attribute.name}=${attribute.value}`)
+    .sort();
+  if ('checked' in element) {
+    state.push(`checked=${element.checked}`);
+  }
+  return state.join('|');
+}
+
+/**
+ * Check whether a click produced the configured verification signal
+ * @param {Element} button - Clicked button
+ * @param {Object} snapshot - State captured before the click
+ * @param {Object} verification - Verification settings
+ * @returns {boolean} True if the click had a visible effect
+ */
+function hasClickEffect(button, snapshot, verification) {
+  const checkLabel = [VERIFY_MODES.LABEL_CHANGE, VERIFY_MODES.ANY].includes(verification.mode);
+  const checkState = [VERIFY_MODES.DISABLED_OR_REMOVED, VERIFY_MODES.ANY].includes(verification.mode);
+  const checkSelector = [VERIFY_MODES.SELECTOR_APPEARS, VERIFY_MODES.ANY].includes(verification.mode);
+  
+  if (checkState && (!button.isConnected || button.disabled || 
+      button.getAttribute('aria-disabled') === 'true')) {
+    return true;
+  }
+  
+  if (checkLabel && button.isConnected && getButtonLabel(button) !== snapshot.label) {
+    return true;
+  }
+  
+  if (checkSelector && verification.selector && 
+      countVerificationMatches(verification.selector) > snapshot.selectorCount) {
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Wait until a click shows its verification signal or the timeout expires
+ * @param {Element} button - Clicked button
+ * @param {Object} snapshot - State captured before the click
+ * @param {Object} verification - Verification settings
+ * @returns {Promise<boolean>} True if the effect was seen in time
+ */
+async function waitForClickEffect(button, snapshot, verification) {
+  const deadline = Date.now() + verification.timeoutMs;
+  
+  while (true) {
+    if (hasClickEffect(button, snapshot, verification)) return true;
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Click a button once and verify the result
+ * @param {Element} button - Button to click
+ * @param {Object} verification - Verification settings
+ * @returns {Promise<string>} One of CLICK_RESULTS
+ */
+async function performVerifiedClick(button, verification) {
+  const snapshot = captureButtonSnapshot(button, verification);
+  
+  try {
+    button.click();
+  } catch (error) {
+    console.error('Error clicking button:', error);
+    return CLICK_RESULTS.ERROR;
+  }
+  
+  if (verification.mode === VERIFY_MODES.NONE) {
+    return CLICK_RESULTS.UNVERIFIED;
+  }
+  
+  const hadEffect = await waitForClickEffect(button, snapshot, verification);
+  return hadEffect ? CLICK_RESULTS.SUCCESS : CLICK_RESULTS.NO_EFFECT;
+}
+
+// ===========================================
+// STOP CONDITIONS
+// ===========================================
+
+// Why a run ended - reported as stats.stopReason
+const STOP_REASONS = {
+  COMPLETED: 'completed',             // No unclicked targets left
+  PATTERN_LIMITS: 'pattern-limits',   // Every pattern reached its max clicks
+  MAX_CLICKS: 'max-clicks',
+  MAX_DURATION: 'max-duration',
+  STOP_TIME: 'stop-time',
+  TEXT_APPEARED: 'text-appeared',
+  SELECTOR_APPEARED: 'selector-appeared',
+  PAGE_LIMIT: 'page-limit',           // Followed the maximum number of pages
+  NO_TARGETS: 'no-targets',
+  USER: 'user',                       // Stopped from the popup
+  PAGE_UNLOAD: 'page-unload'
+};
+
+/**
+ * Normalize stop conditions from the popup
+ * @param {Object} conditions - { maxClicks, maxDurationMs, stopAtTime, stopOnText, stopOnSelector }
+ * @returns {Object} Stop conditions with empty values removed
+ */
+function normalizeStopConditions(conditions = {}) {
+  const normalized = {};
+  
+  const maxClicks = parseInt(conditions.maxClicks, 10);
+  if (maxClicks > 0) normalized.maxClicks = maxClicks;
+  
+  const maxDurationMs = Number(conditions.maxDurationMs);
+  if (maxDurationMs > 0) normalized.maxDurationMs = maxDurationMs;
+  
+  if (/^\d{1,2}:\d{2}$/.test(conditions.stopAtTime || '')) {
+    normalized.stopAtTime = conditions.stopAtTime;
+  }
+  
+  if (typeof conditions.stopOnText === 'string' && conditions.stopOnText.trim()) {
+    normalized.stopOnText = conditions.stopOnText.trim();
+  }
+  
+  if (typeof conditions.stopOnSelector === 'string' && conditions.stopOnSelector.trim()) {
+    normalized.stopOnSelector = conditions.stopOnSelector.trim();
+  }
+  
+  return normalized;
+}
+
+/**
+ * Get the next occurrence of a clock time ("HH:MM") as a timestamp
+ * @param {string} clockTime - Time of day in 24h format
+ * @param {number} now - Reference timestamp
+ * @returns {number} Timestamp of the next occurrence (today, or tomorrow if already past)
+ */
+function getNextClockTime(clockTime, now = Date.now()) {
+  const [hours, minutes] = clockTime.split(':').map(Number);
+  const target = new Date(now);
+  target.setHours(hours, minutes, 0, 0);
+  
+  if (target.getTime() <= now) {
+    target.setDate(target.getDate() + 1);
+  }
+  
+  return target.getTime();
+}
+
+/**
+ * Format a duration for a stop reason: seconds under a minute, otherwise minutes
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "30 s", "5 min" or "1 min 30 s"
+ */
+function formatStopDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds} s`;
+  
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return seconds > 0 ? `${minutes} min ${seconds} s` : `${minutes} min`;
+}
+
+/**
+ * Check whether any stop condition of the current run has been hit
+ * @returns {Object|null} { reason, detail } if the run should stop, otherwise null
+ */
+function checkStopConditions() {
+  const conditions = AutoClickState.stopConditions;
+  
+  if (conditions.maxClicks && AutoClickState.totalClicked >= conditions.maxClicks) {
+    return { reason: STOP_REASONS.MAX_CLICKS, detail: `${conditions.maxClicks} clicks` };
+  }
+  
+  if (conditions.maxDurationMs && AutoClickState.startTime &&
+      getActiveRunTime() >= conditions.maxDurationMs) {
+    return { reason: STOP_REASONS.MAX_DURATION, detail: formatStopDuration(conditions.maxDurationMs) };
+  }
+  
+  if (AutoClickState.stopAtTimestamp && Date.now() >= AutoClickState.stopAtTimestamp) {
+    return { reason: STOP_REASONS.STOP_TIME, detail: conditions.stopAtTime };
+  }
+  
+  if (conditions.stopOnText && document.body &&
+      foldCase(document.body.innerText || '').includes(foldCase(conditions.stopOnText))) {
+    return { reason: STOP_REASONS.TEXT_APPEARED, detail: conditions.stopOnText };
+  }
+  
+  if (conditions.stopOnSelector) {
+    try {
+      if (findElementsBySelector(conditions.stopOnSelector).length > 0) {
+        return { reason: STOP_REASONS.SELECTOR_APPEARED, detail: conditions.stopOnSelector };
+      }
+    } catch (error) {
+      console.error('Invalid stop selector, ignoring:', error.message);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Stop the run if a stop condition was hit
+ * @returns {boolean} True if the run was stopped
+ */
+function stopIfConditionMet() {
+  const hit = checkStopConditions();
+  if (!hit) return false;
+  
+  console.log(`Stop condition hit: ${hit.reason} (${hit.detail})`);
+  stopAutomation(false, hit.reason, hit.detail);
+  return true;
+}
+
+/**
+ * Time left before the nearest time-based stop condition (max duration, stop time)
+ * @returns {number} Milliseconds, Infinity if neither is set
+ */
+function getTimeUntilStop() {
+  const conditions = AutoClickState.stopConditions;
+  let remaining = Infinity;
+  
+  if (conditions.maxDurationMs && AutoClickState.startTime) {
+    remaining = conditions.maxDurationMs - getActiveRunTime();
+  }
+  if (AutoClickState.stopAtTimestamp) {
+    remaining = Math.min(remaining, AutoClickState.stopAtTimestamp - Date.now());
+  }
+  
+  return Math.max(0, remaining);
+}
+
+// ===========================================
+// DISCOVERY DRIVER
+// ===========================================
+
+// Default labels for "load more" style controls (matched case-insensitively against the
+// whole label - "See more" mustn't pick up every "See more details" link in the list)
+const DEFAULT_LOAD_MORE_TEXT = 'Load more, Show more, See more, View more';
+
+const DEFAULT_DISCOVERY = {
+  enabled: false,
+  scrollContainer: '',                // CSS selector, empty = the page itself
+  loadMoreSelector: '',               // CSS selector for the "Load more" control
+  loadMoreText: DEFAULT_LOAD_MORE_TEXT, // Comma separated labels, used when no selector is set
+  waitMs: 1500,                       // How long to wait for new targets after each round
+  maxEmptyRounds: 3                   // Give up after this many rounds without new targets
+};
+
+/**
+ * Fill in missing discovery settings
+ * @param {Object} settings - Discovery settings (possibly partial)
+ * @returns {Object} Complete discovery settings
+ */
+function normalizeDiscovery(settings = {}) {
+  const normalized = { ...DEFAULT_DISCOVERY };
+  
+  normalized.enabled = settings.enabled === true;
+  ['scrollContainer', 'loadMoreSelector', 'loadMoreText'].forEach(key => {
+    if (typeof settings[key] === 'string') {
+      normalized[key] = settings[key].trim();
+    }
+  });
+  
+  const waitMs = Number(settings.waitMs);
+  if (Number.isFinite(waitMs) && waitMs >= 0) normalized.waitMs = waitMs;
+  
+  const maxEmptyRounds = parseInt(settings.maxEmptyRounds, 10);
+  if (maxEmptyRounds >= 1) normalized.maxEmptyRounds = maxEmptyRounds;
+  
+  return normalized;
+}
+
+/**
+ * Get the element whose scrolling loads more items
+ * @param {string} selector - Optional CSS selector of a scroll container
+ * @returns {Element} Scroll container (falls back to the page)
+ */
+function getScrollContainer(selector) {
+  if (selector) {
+    try {
+      const container = document.querySelector(selector);
+      if (container) return container;
+      console.log(`Scroll container "${selector}" not found, using the page`);
+    } catch (error) {
+      console.error('Invalid scroll container selector:', error.message);
+    }
+  }
+  
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Find a visible "Load more" control that isn't itself a target
+ * @param {Object} discovery - Discovery settings
+ * @returns {Element|null} Control to click, if any
+ */
+function findLoadMoreControl(discovery) {
+  let candidates = [];
+  
+  if (discovery.loadMoreSelector) {
+    try {
+      candidates = findElementsBySelector(discovery.loadMoreSelector);
+    } catch (error) {
+      console.error('Invalid load more selector:', error.message);
+      return null;
+    }
+  } else if (discovery.loadMoreText) {
+    const labels = discovery.loadMoreText
+      .split(',')
+      .map(label => foldCase(label.trim()))
+      .filter(Boolean);
+    
+    candidates = getAllButtonsOnPage().filter(el => labels.includes(foldCase(getButtonLabel(el))));
+  }
+  
+  // Never treat one of the run's own targets as the "Load more" control
+  return candidates.find(el => !AutoClickState.buttonTargets.has(el) && isClickableElement(el)) || null;
+}
+
+/**
+ * Wait until the live index queues a new target or the wait time runs out
+ * @param {number} waitMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if a new target was queued
+ */
+async function waitForNewTargets(waitMs) {
+  const deadline = Date.now() + waitMs;
+  const foundBefore = AutoClickState.newButtonsFound;
+  
+  while (AutoClickState.isAutomationRunning) {
+    if (AutoClickState.newButtonsFound > foundBefore) return true;
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  
+  return false;
+}
+
+/**
+ * Run one discovery round: click "Load more" (if present), scroll to the
+ * bottom and let the live index queue whatever new targets appear
+ * @returns {Promise<number>} Number of newly queued buttons
+ */
+async function runDiscoveryRound() {
+  const discovery = AutoClickState.discovery;
+  const foundBefore = AutoClickState.newButtonsFound;
+  AutoClickState.discoveryRounds++;
+  console.log(`=== Discovery round ${AutoClickState.discoveryRounds} ===`);
+  
+  const loadMore = findLoadMoreControl(discovery);
+  if (loadMore) {
+    console.log('Clicking load more control:', getButtonLabel(loadMore));
+    scrollToButton(loadMore);
+    try {
+      loadMore.click();
+    } catch (error) {
+      console.error('Error clicking load more control:', error);
+    }
+  }
+  
+  const container = getScrollContainer(discovery.scrollContainer);
+  console.log('Scrolling to bottom of', container === document.scrollingElement ? 'page' : discovery.scrollContainer);
+  container.scrollTo({ top: container.scrollHeight, behavior: 'smooth' });
+  
+  await waitForNewTargets(discovery.waitMs);
+  
+  if (!AutoClickState.isAutomationRunning) return 0;
+  flushTargetMutations();
+  return AutoClickState.newButtonsFound - foundBefore;
+}
+
+// ===========================================
+// PAGINATION
+// ===========================================
+
+// Default labels for "next page" links (matched case-insensitively against the whole label)
+const DEFAULT_NEXT_PAGE_TEXT = 'Next, Next page, Next ›, Next →, ›, »';
+
+// Links and buttons that can lead to the next page
+const NEXT_PAGE_CANDIDATE_SELECTOR = `a[href], ${CLICKABLE_SELECTOR}`;
+
+// Give up on the next page if it neither loads nor shows targets in place within this time
+const NEXT_PAGE_TIMEOUT_MS = 30000;
+
+const DEFAULT_PAGINATION = {
+  enabled: false,
+  nextSelector: '',                 // CSS selector for the next page link
+  nextText: DEFAULT_NEXT_PAGE_TEXT, // Comma separated labels, used when no selector is set
+  waitMs: 2000,                     // How long a new page gets to render before targets are collected
+  maxPages: 10                      // Stop after this many pages (including the first)
+};
+
+/**
+ * Fill in missing pagination settings
+ * @param {Object} settings - Pagination settings (possibly partial)
+ * @returns {Object} Complete pagination settings
+ */
+function normalizePagination(settings = {}) {
+  const normalized = { ...DEFAULT_PAGINATION };
+  
+  normalized.enabled = settings.enabled === true;
+  ['nextSelector', 'nextText'].forEach(key => {
+    if (typeof settings[key] === 'string') {
+      normalized[key] = settings[key].trim();
+    }
+  });
+  
+  const waitMs = Number(settings.waitMs);
+  if (Number.isFinite(waitMs) && waitMs >= 0) normalized.waitMs = waitMs;
+  
+  const maxPages = parseInt(settings.maxPages, 10);
+  if (maxPages >= 1) normalized.maxPages = maxPages;
+  
+  return normalized;
+}
+
+/**
+ * Find the visible link to the next page
+ * @param {Object} pagination - Pagination settings
+ * @returns {Element|null} Link or button to click, if any
+ */
+function findNextPageControl(pagination) {
+  let candidates = [];
+  
+  if (pagination.nextSelector) {
+    try {
+      candidates = findElementsBySelector(pagination.nextSelector);
+    } catch (error) {
+      console.error('Invalid next page selector:', error.message);
+      return null;
+    }
+  } else {
+    const labels = pagination.nextText
+      .split(',')
+      .map(label => foldCase(label.trim()))
+      .filter(Boolean);
+    
+    // rel="next" is the standard marker; labels catch sites that don't set it
+    candidates = [
+      ...querySelectorAllFrom(document, 'a[rel~="next"]'),
+      ...querySelectorAllFrom(document, NEXT_PAGE_CANDIDATE_SELECTOR).filter(el => 
+        labels.includes(foldCase(getButtonLabel(el)))
+      )
+    ];
+  }
+  
+  // Never treat one of the run's own targets as the next page link
+  return candidates.find(el => !AutoClickState.buttonTargets.has(el) && isClickableElement(el)) || null;
+}
+
+/**
+ * Snapshot the run's counters so the next page can continue with cumulative stats
+ * @returns {Object} Counters carried over to the next page
+ */
+function getResumeState() {
+  return {
+    pageNumber: AutoClickState.pageNumber + 1,
+    startTime: AutoClickState.startTime,
+    pausedTime: AutoClickState.pausedTime,
+    totalClicked: AutoClickState.totalClicked,
+    targetStats: AutoClickState.targetStats.map(stats => ({ ...stats, found: stats.clicked })),
+    originalButtons: AutoClickState.originalButtonCount,
+    newButtonsFound: AutoClickState.newButtonsFound,
+    verifiedClicks: AutoClickState.verifiedClicks,
+    unverifiedClicks: AutoClickState.unverifiedClicks,
+    failedClicks: AutoClickState.failedClicks,
+    retriedClicks: AutoClickState.retriedClicks,
+    clickResults: AutoClickState.clickResults,
+    excludedTargets: AutoClickState.excludedTargets,
+    discoveryRounds: AutoClickState.discoveryRounds
+  };
+}
+
+/**
+ * Continue a run's counters from the previous page (see getResumeState)
+ * @param {Object} resume - Counters carried over from the previous page
+ */
+function applyResumeState(resume) {
+  console.log(`Resuming run on page ${resume.pageNumber}:`, resume);
+  
+  AutoClickState.pageNumber = resume.pageNumber;
+  AutoClickState.startTime = resume.startTime || AutoClickState.startTime;
+  AutoClickState.pausedTime = resume.pausedTime || 0;
+  AutoClickState.totalClicked = resume.totalClicked || 0;
+  AutoClickState.newButtonsFound = resume.newButtonsFound || 0;
+  AutoClickState.verifiedClicks = resume.verifiedClicks || 0;
+  AutoClickState.unverifiedClicks = resume.unverifiedClicks || 0;
+  AutoClickState.failedClicks = resume.failedClicks || 0;
+  AutoClickState.retriedClicks = resume.retriedClicks || 0;
+  AutoClickState.clickResults = resume.clickResults || [];
+  AutoClickState.excludedTargets = resume.excludedTargets || [];
+  AutoClickState.discoveryRounds = resume.discoveryRounds || 0;
+  
+  // Per-pattern click limits count across pages
+  if (Array.isArray(resume.targetStats) && resume.targetStats.length === AutoClickState.targetStats.length) {
+    AutoClickState.targetStats = resume.targetStats.map(stats => ({ ...stats }));
+  }
+}
+
+/**
+ * Follow the next page link once the current page has nothing left to click.
+ * A real navigation ends this script - the background resumes the run on the
+ * new page. Sites that page in place keep the run going here.
+ * @returns {Promise<boolean>} True if the run went on to (or ended at) another page
+ */
+async function followNextPage() {
+  const pagination = AutoClickState.pagination;
+  
+  // Only the top page is followed - the background can't see embedded frames navigate
+  if (!pagination.enabled || window !== window.top) return false;
+  
+  const nextControl = findNextPageControl(pagination);
+  if (!nextControl) {
+    console.log('No next page link found');
+    return false;
+  }
+  
+  if (AutoClickState.pageNumber >= pagination.maxPages) {
+    console.log(`Reached the page limit (${pagination.maxPages})`);
+    stopAutomation(true, STOP_REASONS.PAGE_LIMIT, String(pagination.maxPages));
+    return true;
+  }
+  
+  // Let the background keep the session through the navigation
+  const resume = getResumeState();
+  try {
+    await chrome.runtime.sendMessage({ action: 'nextPageRequested', resume: resume });
+  } catch (error) {
+    console.error('Could not hand the run over to the next page:', error);
+    return false;
+  }
+  if (!AutoClickState.isAutomationRunning) return true;
+  
+  console.log(`Following next page link to page ${resume.pageNumber}:`, getButtonLabel(nextControl));
+  AutoClickState.followingNextPage = true;
+  stopTargetObserver();
+  scrollToButton(nextControl);
+  nextControl.click();
+  
+  await waitForInPlacePage(pagination.waitMs);
+  return true;
+}
+
+/**
+ * Wait for targets of the next page to show up in this document. Only
+ * reached when clicking the link didn't (yet) unload the page.
+ * @param {number} waitMs - Time the new page gets to render before the first check
+ */
+async function waitForInPlacePage(waitMs) {
+  const deadline = Date.now() + Math.max(waitMs, NEXT_PAGE_TIMEOUT_MS);
+  await new Promise(resolve => setTimeout(resolve, waitMs));
+  
+  while (AutoClickState.isAutomationRunning) {
+    pruneQueuedButtons();
+    const entries = findUnqueuedTargetButtons();
+    
+    if (entries.length > 0) {
+      continueOnSamePage(entries);
+      return;
+    }
+    
+    if (Date.now() >= deadline) {
+      console.log('Next page never loaded, ending automation');
+      stopAutomation(true, STOP_REASONS.COMPLETED);
+      return;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+/**
+ * Keep running after the site swapped in the next page without navigating
+ * @param {Array} entries - { button, targetIndex } entries found on the new page
+ */
+function continueOnSamePage(entries) {
+  AutoClickState.pageNumber++;
+  AutoClickState.followingNextPage = false;
+  AutoClickState.emptyDiscoveryRounds = 0;
+  console.log(`Page ${AutoClickState.pageNumber} loaded in place with ${entries.length} targets`);
+  
+  // Nothing to resume in the background - this script carries on
+  chrome.runtime.sendMessage({ action: 'nextPageInPlace' }).catch((error) => {
+    console.error('Error reporting in-place page:', error);
+  });
+  
+  addButtonsToQueue(entries, false);
+  entries.forEach(({ button }) => addHighlightToButton(button, 'yellow'));
+  startTargetObserver();
+  sendProgressUpdate();
+  processNextButton();
+}
+
+/**
+ * The queue is empty: go on to the next page if there is one, otherwise finish
+ */
+async function finishPage() {
+  if (await followNextPage()) return;
+  stopAutomation(true, STOP_REASONS.COMPLETED);
+}
+
+// ===========================================
+// ITEM CONTEXT
+// ===========================================
+
+// Elements that usually wrap one product or offer, tried when no container selector is set
+const DEFAULT_ITEM_CONTAINER_SELECTOR = [
+  'li',
+  'article',
+  'tr',
+  '[role="listitem"]',
+  '[role="article"]',
+  '[itemtype*="Product"]',
+  '[class*="card" i]',
+  '[class*="product" i]',
+  '[class*="tile" i]',
+  '[class*="offer" i]',
+  '[class*="coupon" i]'
+].join(', ');
+
+// Elements holding an item's name, in order of preference
+const ITEM_NAME_SELECTOR = [
+  '[itemprop="name"]',
+  'h1, h2, h3, h4, h5, h6',
+  '[role="heading"]',
+  '[class*="title" i]',
+  '[class*="name" i]'
+].join(', ');
+
+const ITEM_PRICE_SELECTOR = '[itemprop="price"], [class*="price" i]';
+
+// Price-looking text such as "$3.99", "3,49 €" or "2 for $5"
+const PRICE_PATTERN = /(?:[$€£¥]\s?\d[\d.,]*|\d[\d.,]*\s?(?:[$€£¥]|USD|EUR|GBP)|\d+¢)/;
+
+// How far above the button the automatic container search looks
+const MAX_ITEM_CONTAINER_DEPTH = 8;
+
+// Longest name or price text kept per click
+const MAX_ITEM_TEXT_LENGTH = 200;
+
+const DEFAULT_ITEM_CONTEXT = {
+  containerSelector: '' // Empty = find the enclosing card or list item automatically
+};
+
+/**
+ * Validate and fill in item context settings
+ * @param {Object} settings - Item context settings (possibly partial)
+ * @returns {Object} Complete item context settings
+ * @throws {Error} If the container selector is invalid
+ */
+function normalizeItemContext(settings = {}) {
+  const normalized = { ...DEFAULT_ITEM_CONTEXT };
+  
+  const containerSelector = typeof settings.containerSelector === 'string' ? settings.containerSelector.trim() : '';
+  if (containerSelector) {
+    try {
+      document.createDocumentFragment().querySelector(containerSelector);
+    } catch (error) {
+      throw new Error(`Invalid item container selector: "${containerSelector}"`);
+    }
+    normalized.containerSelector = containerSelector;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Find the card, list item or row a button belongs to
+ * @param {Element} button - Clicked button
+ * @param {string} containerSelector - User selector ('' = automatic)
+ * @returns {Element|null} Item container, if any
+ */
+function findItemContainer(button, containerSelector) {
+  const container = containerSelector && button.parentElement && 
+    button.parentElement.closest(containerSelector);
+  if (container) return container;
+  
+  // Nearest ancestor that looks like an item, then the nearest one with a heading or link
+  let fallback = null;
+  let node = button.parentElement;
+  for (let depth = 0; node && node !== document.body && depth < MAX_ITEM_CONTAINER_DEPTH; depth++) {
+    if (node.matches(DEFAULT_ITEM_CONTAINER_SELECTOR)) return node;
+    if (!fallback && node.querySelector('h1, h2, h3, h4, h5, h6, a[href]')) fallback = node;
+    node = node.parentElement;
+  }
+  
+  return fallback;
+}
+
+/**
+ * Trimmed, single-line, length-limited text of an element
+ * @param {Element} element - Element to read
+ * @returns {string} Text ('' if none)
+ */
+function getShortText(element) {
+  const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_ITEM_TEXT_LENGTH ? `${text.slice(0, MAX_ITEM_TEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Describe the item a button belongs to: its name, price and link
+ * @param {Element} button - Button about to be clicked
+ * @returns {Object|null} { name, price, link } or null if no container was found
+ */
+function extractItemContext(button) {
+  try {
+    const container = findItemContainer(button, AutoClickState.itemContext.containerSelector);
+    if (!container) return null;
+    
+    // Ignore the button's own text ("Clip", "Add to cart")
+    const isOutsideButton = element => !button.contains(element) && !element.contains(button);
+    
+    const nameElement = Array.from(container.querySelectorAll(ITEM_NAME_SELECTOR))
+      .find(element => isOutsideButton(element) && getShortText(element));
+    const image = container.querySelector('img[alt]:not([alt=""])');
+    // Last resort: the first piece of text in the item that isn't a price
+    const textElement = Array.from(container.querySelectorAll('*'))
+      .find(element => element.children.length === 0 && isOutsideButton(element) && 
+        getShortText(element) && !PRICE_PATTERN.test(getShortText(element)));
+    const name = nameElement ? getShortText(nameElement) : 
+      image ? image.getAttribute('alt').trim() : 
+      (container.getAttribute('aria-label') || '').trim() || (textElement ? getShortText(textElement) : '');
+    
+    const priceElement = Array.from(container.querySelectorAll(ITEM_PRICE_SELECTOR))
+      .find(element => isOutsideButton(element) && PRICE_PATTERN.test(getShortText(element)));
+    const priceMatch = getShortText(priceElement || container).match(PRICE_PATTERN);
+    
+    const link = [container.closest('a[href]'), ...container.querySelectorAll('a[href]')]
+      .find(anchor => anchor && anchor !== button && !/^(#|javascript:)/i.test(anchor.getAttribute('href')));
+    
+    return {
+      name: name,
+      price: priceMatch ? priceMatch[0].trim() : '',
+      link: link ? link.href : ''
+    };
+  } catch (error) {
+    console.error('Error extracting item context:', error);
+    return null;
+  }
+}
+
+// ===========================================
+// EXCLUSION RULES
+// ===========================================
+
+const DEFAULT_EXCLUSIONS = {
+  keywords: [],      // Skip targets whose item text contains any of these (case-insensitive)
+  regex: null,       // Skip targets whose item text matches this
+  insideSelector: '' // Skip targets inside an element matching this selector
+};
+
+// Why a target was left out of the run
+const EXCLUSION_REASONS = {
+  MANUAL: 'manual',     // Alt-clicked on the page
+  SELECTOR: 'selector', // Inside the exclusion selector
+  KEYWORD: 'keyword',   // Item text contains an exclusion keyword
+  REGEX: 'regex'        // Item text matches the exclusion regex
+};
+
+/**
+ * Validate and fill in exclusion rules
+ * @param {Object} settings - { keywords: 'comma, separated', regex, insideSelector } (possibly partial)
+ * @returns {Object} Normalized rules (see DEFAULT_EXCLUSIONS)
+ * @throws {Error} If the regex or selector is invalid
+ */
+function normalizeExclusions(settings = {}) {
+  const normalized = { ...DEFAULT_EXCLUSIONS };
+  
+  const keywords = Array.isArray(settings.keywords) ? settings.keywords : 
+    String(settings.keywords || '').split(',');
+  normalized.keywords = keywords.map(keyword => foldCase(String(keyword))).filter(Boolean);
+  
+  const regex = typeof settings.regex === 'string' ? settings.regex.trim() : '';
+  if (regex) {
+    try {
+      normalized.regex = new RegExp(regex, 'i');
+    } catch (error) {
+      throw new Error(`Invalid exclusion pattern: ${error.message}`);
+    }
+  }
+  
+  const insideSelector = typeof settings.insideSelector === 'string' ? settings.insideSelector.trim() : '';
+  if (insideSelector) {
+    try {
+      document.createDocumentFragment().querySelector(insideSelector);
+    } catch (error) {
+      throw new Error(`Invalid exclusion selector: "${insideSelector}"`);
+    }
+    normalized.insideSelector = insideSelector;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Count how many targets sit inside each of their ancestors, as far up as
+ * an item container is looked for
+ * @param {Iterable} buttons - Every matched target (each one once)
+ * @returns {Map} Ancestor element -> number of targets inside it
+ */
+function countTargetsPerAncestor(buttons) {
+  const counts = new Map();
+  for (const button of buttons) {
+    let node = button.parentElement;
+    for (let depth = 0; node && depth < MAX_ITEM_CONTAINER_DEPTH; depth++) {
+      counts.set(node, (counts.get(node) || 0) + 1);
+      node = node.parentElement;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Find the element whose text the keyword and regex rules check: the item
+ * container set by the user, else the nearest ancestor that looks like an item
+ * or has a heading or link. Ancestors holding other targets are never used -
+ * the text of a whole grid would exclude every target in it.
+ * @param {Element} button - Matching button
+ * @param {Map} targetCounts - From countTargetsPerAncestor()
+ * @returns {Element} Element to read the text of
+ */
+function findExclusionContainer(button, targetCounts) {
+  const containerSelector = AutoClickState.itemContext.containerSelector;
+  const container = containerSelector && button.parentElement && 
+    button.parentElement.closest(containerSelector);
+  if (container) return container;
+  
+  let node = button.parentElement;
+  for (let depth = 0; node && node !== document.body && depth < MAX_ITEM_CONTAINER_DEPTH; depth++) {
+    if ((targetCounts.get(node) || 0) > 1) break;
+    if (node.matches(DEFAULT_ITEM_CONTAINER_SELECTOR) || 
+        node.querySelector('h1, h2, h3, h4, h5, h6, a[href]')) return node;
+    node = node.parentElement;
+  }
+  
+  const parent = button.parentElement;
+  return parent && (targetCounts.get(parent) || 0) <= 1 ? parent : button;
+}
+
+/**
+ * Check a matching button against the manual skips and exclusion rules
+ * @param {Element} button - Matching button
+ * @param {Map} targetCounts - Targets per ancestor, from countTargetsPerAncestor()
+ * @returns {Object|null} { reason, detail } (see EXCLUSION_REASONS) or null to keep it
+ */
+function getExclusionReason(button, targetCounts) {
+  const override = AutoClickState.manualOverrides.get(button);
+  if (override === true) return { reason: EXCLUSION_REASONS.MANUAL, detail: '' };
+  if (override === false) return null;
+  
+  const { keywords = [], regex = null, insideSelector = '' } = AutoClickState.exclusions;
+  
+  if (insideSelector && button.parentElement && button.parentElement.closest(insideSelector)) {
+    return { reason: EXCLUSION_REASONS.SELECTOR, detail: insideSelector };
+  }
+  
+  if (keywords.length === 0 && !regex) return null;
+  
+  const container = findExclusionContainer(button, targetCounts);
+  const text = (container.innerText || container.textContent || '').replace(/\s+/g, ' ');
+  
+  const keyword = keywords.find(word => foldCase(text).includes(word));
+  if (keyword) return { reason: EXCLUSION_REASONS.KEYWORD, detail: keyword };
+  
+  if (regex && regex.test(text)) return { reason: EXCLUSION_REASONS.REGEX, detail: regex.source };
+  
+  return null;
+}
+
+/**
+ * Leave a matching button out of the run and list it in the stats
+ * @param {Element} button - Matching button
+ * @param {number} targetIndex - Index of the target it matched
+ * @param {Object} exclusion - { reason, detail } from getExclusionReason()
+ */
+function excludeButton(button, targetIndex, exclusion) {
+  const record = {
+    label: getButtonLabel(button),
+    pattern: describeTarget(AutoClickState.selectedTargets[targetIndex]),
+    reason: exclusion.reason,
+    detail: exclusion.detail
+  };
+  
+  AutoClickState.excludedButtons.set(button, { targetIndex: targetIndex, record: record });
+  AutoClickState.excludedTargets.push(record);
+  addHighlightToButton(button, 'purple');
+  console.log(`Excluded "${record.label}" (${record.reason}${record.detail ? `: ${record.detail}` : ''})`);
+}
+
+/**
+ * Alt-click on a highlighted target: skip it, or bring a skipped one back.
+ * Works on the highlight before a run and on queued targets during one.
+ * @param {Element} button - Highlighted button
+ */
+function toggleManualExclusion(button) {
+  // Highlighted elements are the targets (queued, clicked or excluded)
+  const targetCounts = countTargetsPerAncestor(querySelectorAllFrom(document, '[data-auto-click-highlight]'));
+  const exclude = !getExclusionReason(button, targetCounts);
+  AutoClickState.manualOverrides.set(button, exclude);
+  console.log(`${exclude ? 'Skipping' : 'Including'} "${getButtonLabel(button)}" (Alt-click)`);
+  
+  if (!AutoClickState.isAutomationRunning) {
+    addHighlightToButton(button, exclude ? 'purple' : 'yellow');
+    return;
+  }
+  
+  if (exclude && AutoClickState.buttonTargets.has(button)) {
+    const targetIndex = AutoClickState.buttonTargets.get(button);
+    AutoClickState.buttonTargets.delete(button);
+    AutoClickState.currentButtonList = AutoClickState.currentButtonList.filter(queued => queued !== button);
+    AutoClickState.targetStats[targetIndex].found--;
+    excludeButton(button, targetIndex, getExclusionReason(button, targetCounts));
+  } else if (!exclude && AutoClickState.excludedButtons.has(button)) {
+    const { targetIndex, record } = AutoClickState.excludedButtons.get(button);
+    AutoClickState.excludedButtons.delete(button);
+    AutoClickState.excludedTargets = AutoClickState.excludedTargets.filter(entry => entry !== record);
+    addButtonsToQueue([{ button: button, targetIndex: targetIndex }], false);
+    addHighlightToButton(button, 'yellow');
+  } else {
+    addHighlightToButton(button, exclude ? 'purple' : 'yellow');
+  }
+  
+  sendProgressUpdate();
+}
+
+/**
+ * Alt-click handler: toggles a highlighted target in or out of the run without clicking it
+ * @param {MouseEvent} event - Click event (capture phase)
+ */
+function handleExclusionClick(event) {
+  if (!event.altKey || PickerState.isActive) return;
+  
+  const button = event.composedPath().find(node => 
+    node instanceof Element && ['yellow', 'orange', 'purple'].includes(node.getAttribute('data-auto-click-highlight')));
+  if (!button || AutoClickState.clickedButtons.has(button) || button === AutoClickState.clickingButton) return;
+  
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  toggleManualExclusion(button);
+}
+
+// ===========================================
+// AUTOMATION FUNCTIONS
+// ===========================================
+
+// How buttons from several patterns are ordered in one run
+const RUN_ORDERS = {
+  SEQUENTIAL: 'sequential',   // All buttons of pattern 1, then pattern 2, ...
+  INTERLEAVED: 'interleaved'  // All patterns mixed in document order
+};
+
+/**
+ * Normalize the targets of a run and their optional per-pattern click limits
+ * @param {Array|Object|string} targets - One target or an array of targets
+ * @returns {Array} Array of normalized targets with maxClicks (null = no limit)
+ */
+function normalizeRunTargets(targets) {
+  const targetList = Array.isArray(targets) ? targets : [targets];
+  
+  return targetList.map(target => {
+    const normalized = normalizeTarget(target);
+    if (!normalized) return null;
+    
+    const maxClicks = parseInt(target && target.maxClicks, 10);
+    normalized.maxClicks = maxClicks > 0 ? maxClicks : null;
+    return normalized;
+  }).filter(Boolean);
+}
+
+/**
+ * Sort buttons in place by their position in the document
+ * @param {Array} buttons - Array of elements
+ * @returns {Array} The same array, sorted
+ */
+function sortByDocumentOrder(buttons) {
+  return buttons.sort((a, b) => 
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+}
+
+/**
+ * Check whether a target has reached its per-pattern click limit
+ * @param {number} targetIndex - Index into selectedTargets
+ * @returns {boolean} True if no more clicks are allowed for this target
+ */
+function isTargetLimitReached(targetIndex) {
+  const target = AutoClickState.selectedTargets[targetIndex];
+  const stats = AutoClickState.targetStats[targetIndex];
+  return Boolean(target && target.maxClicks && stats.clicked >= target.maxClicks);
+}
+
+/**
+ * Check whether every target of the run has reached its click limit
+ * @returns {boolean} True if all targets are limited and done
+ */
+function areAllTargetLimitsReached() {
+  return AutoClickState.selectedTargets.length > 0 &&
+    AutoClickState.selectedTargets.every((target, index) => isTargetLimitReached(index));
+}
+
+/**
+ * Find buttons for every selected target that aren't queued yet.
+ * A button matching several targets belongs to the first one.
+ * Excluded matches are recorded (see excludeButton) instead of returned.
+ * @param {Array} roots - Subtrees to search (default: whole page)
+ * @returns {Array} Array of { button, targetIndex } entries
+ */
+function findUnqueuedTargetButtons(roots = [document]) {
+  const matches = [];
+  const assigned = new Set();
+  
+  AutoClickState.selectedTargets.forEach((target, targetIndex) => {
+    roots.forEach(root => {
+      findMatchingButtons(target, root).forEach(button => {
+        if (AutoClickState.buttonTargets.has(button) || assigned.has(button) ||
+            AutoClickState.clickedButtons.has(button) || AutoClickState.excludedButtons.has(button)) return;
+        
+        assigned.add(button);
+        matches.push({ button: button, targetIndex: targetIndex });
+      });
+    });
+  });
+  
+  // Exclusion text mustn't spill over from the other targets, queued or new
+  const targetCounts = countTargetsPerAncestor(new Set([
+    ...assigned,
+    ...AutoClickState.buttonTargets.keys(),
+    ...AutoClickState.excludedButtons.keys(),
+    ...AutoClickState.clickedButtons
+  ]));
+  
+  return matches.filter(({ button, targetIndex }) => {
+    const exclusion = getExclusionReason(button, targetCounts);
+    if (exclusion) excludeButton(button, targetIndex, exclusion);
+    return !exclusion;
+  });
+}
+
+/**
+ * Add buttons to the run queue and record which target they belong to
+ * @param {Array} entries - Array of { button, targetIndex } entries
+ * @param {boolean} isNew - Whether these were discovered after the run started
+ */
+function addButtonsToQueue(entries, isNew) {
+  entries.forEach(({ button, targetIndex }) => {
+    const seen = AutoClickState.seenButtons.has(button);
+    AutoClickState.seenButtons.add(button);
+    AutoClickState.buttonTargets.set(button, targetIndex);
+    AutoClickState.targetStats[targetIndex].found++;
+    if (isNew && !seen) {
+      AutoClickState.targetStats[targetIndex].newFound++;
+    }
+  });
+  
+  AutoClickState.currentButtonList.push(...entries.map(entry => entry.button));
+  
+  if (AutoClickState.runOrder === RUN_ORDERS.INTERLEAVED) {
+    sortByDocumentOrder(AutoClickState.currentButtonList);
+  }
+}
+
+/**
+ * Start an empty run queue for a set of targets
+ * @param {Array} selectedTargets - Normalized run targets
+ * @param {string} runOrder - 'sequential' | 'interleaved'
+ */
+function resetRunQueue(selectedTargets, runOrder) {
+  AutoClickState.selectedTargets = selectedTargets;
+  AutoClickState.runOrder = runOrder === RUN_ORDERS.INTERLEAVED ? 
+    RUN_ORDERS.INTERLEAVED : RUN_ORDERS.SEQUENTIAL;
+  AutoClickState.targetStats = selectedTargets.map(() => ({ clicked: 0, found: 0, newFound: 0 }));
+  AutoClickState.buttonTargets.clear();
+  AutoClickState.seenButtons = new WeakSet();
+  AutoClickState.currentButtonList = [];
+  AutoClickState.clickedButtons.clear();
+  AutoClickState.excludedTargets = [];
+  AutoClickState.excludedButtons.clear();
+}
+
+/**
+ * Get per-pattern progress for progress updates and final stats
+ * @returns {Array} Array of { pattern, clicked, total, newFound, maxClicks }
+ */
+function getPatternProgress() {
+  return AutoClickState.selectedTargets.map((target, index) => {
+    const stats = AutoClickState.targetStats[index];
+    return {
+      pattern: describeTarget(target),
+      clicked: stats.clicked,
+      total: stats.found,
+      newFound: stats.newFound,
+      maxClicks: target.maxClicks
+    };
+  });
+}
+
+/**
+ * Get the number of buttons the run will click, taking per-pattern limits into account
+ * @returns {number} Total clicks expected for the run
+ */
+function getRunTotal() {
+  return AutoClickState.selectedTargets.reduce((total, target, index) => {
+    const found = AutoClickState.targetStats[index].found;
+    return total + (target.maxClicks ? Math.min(found, target.maxClicks) : found);
+  }, 0);
+}
+
+/**
+ * Scroll to a specific button element
+ * @param {Element} button - Button to scroll to
+ */
+function scrollToButton(button) {
+  console.log('Scrolling to button:', getButtonLabel(button));
+  
+  button.scrollIntoView({
+    behavior: 'smooth',
+    block: 'start',
+    inline: 'nearest'
+  });
+}
+
+/**
+ * Click a button (retrying if verification fails) and update its visual state
+ * @param {Element} button - Button to click
+ * @param {number} scrollWaitMs - How long to wait for scrolling before clicking
+ * @returns {Promise<string>} Final click result (see CLICK_RESULTS)
+ */
+async function clickButton(button, scrollWaitMs = DEFAULT_DELAY_SETTINGS.scrollWaitMs) {
+  const startTime = Date.now();
+  const label = getButtonLabel(button);
+  const verification = AutoClickState.verification;
+  AutoClickState.clickingButton = button;
+  console.log(`=== CLICKING BUTTON: "${label}" ===`);
+  
+  // Read the item before clicking - clipped cards often change or disappear
+  const item = extractItemContext(button);
+  
+  // Scroll to button first
+  console.log('Scrolling to button...');
+  scrollToButton(button);
+  
+  // Wait for scroll to complete
+  console.log(`Waiting ${scrollWaitMs}ms for scroll to complete...`);
+  await new Promise(resolve => setTimeout(resolve, scrollWaitMs));
+  
+  // Click, retrying failed attempts up to the configured limit
+  const stateBefore = getElementState(button);
+  let result;
+  let attempts = 0;
+  while (true) {
+    attempts++;
+    console.log(`Executing click (attempt ${attempts})...`);
+    result = await performVerifiedClick(button, verification);
+    
+    // Toggles (clip, save, like) change state without the signal - clicking again would undo
+    // them. Any attribute change counts, so the click isn't reported as verified either.
+    if (result === CLICK_RESULTS.NO_EFFECT && button.isConnected && getElementState(button) !== stateBefore) {
+      console.log('Element state changed without the verification signal, not retrying');
+      result = CLICK_RESULTS.UNVERIFIED;
+    }
+    
+    const failed = result === CLICK_RESULTS.NO_EFFECT || result === CLICK_RESULTS.ERROR;
+    if (!failed || attempts > verification.maxRetries || !AutoClickState.isAutomationRunning) break;
+    
+    AutoClickState.retriedClicks++;
+    console.log(`Click result "${result}", retrying (${attempts}/${verification.maxRetries})...`);
+  }
+  
+  // Mark as clicked (whatever the result) so the loop moves on
+  AutoClickState.clickedButtons.add(button);
+  AutoClickState.clickingButton = null;
+  const resultColors = {
+    [CLICK_RESULTS.SUCCESS]: 'green',
+    [CLICK_RESULTS.UNVERIFIED]: 'green',
+    [CLICK_RESULTS.NO_EFFECT]: 'orange',
+    [CLICK_RESULTS.ERROR]: 'red'
+  };
+  if (button.isConnected) {
+    addHighlightToButton(button, resultColors[result]);
+  }
+  
+  const clickEntry = {
+    label: label,
+    result: result,
+    attempts: attempts,
+    timestamp: Date.now(),
+    item: item,
+    page: location.href
+  };
+  AutoClickState.clickResults.push(clickEntry);
+  
+  if (result === CLICK_RESULTS.SUCCESS) AutoClickState.verifiedClicks++;
+  if (result === CLICK_RESULTS.UNVERIFIED || result === CLICK_RESULTS.NO_EFFECT) AutoClickState.unverifiedClicks++;
+  if (result === CLICK_RESULTS.ERROR) AutoClickState.failedClicks++;
+  
+  // Update statistics - ONLY increment if not already counted (errored clicks never landed)
+  if (result !== CLICK_RESULTS.ERROR && !button.hasAttribute('data-auto-click-counted')) {
+    AutoClickState.totalClicked++;
+    const targetIndex = AutoClickState.buttonTargets.get(button);
+    if (AutoClickState.targetStats[targetIndex]) {
+      AutoClickState.targetStats[targetIndex].clicked++;
+    }
+    button.setAttribute('data-auto-click-counted', 'true');
+    console.log(`Button click counted. Total clicked: ${AutoClickState.totalClicked}`);
+  } else {
+    console.log('Button not counted (already counted or click failed)');
+  }
+  
+  // Send the click and the new totals to the popup
+  sendClickEvent(clickEntry);
+  sendProgressUpdate();
+  
+  const endTime = Date.now();
+  console.log(`Button click finished with "${result}" after ${attempts} attempt(s) in ${endTime - startTime}ms`);
+  return result;
+}
+
+/**
+ * Find next unclicked button in the current list.
+ * Skips patterns that reached their click limit; in sequential runs the
+ * earliest pattern with work left goes first.
+ * @returns {Element|null} Next button to click or null if none found
+ */
+function findNextUnclickedButton() {
+  let nextButton = null;
+  let nextTargetIndex = Infinity;
+  
+  for (const button of AutoClickState.currentButtonList) {
+    if (AutoClickState.clickedButtons.has(button)) continue;
+    
+    const targetIndex = AutoClickState.buttonTargets.get(button);
+    if (isTargetLimitReached(targetIndex)) continue;
+    
+    // List is already in document order for interleaved runs
+    if (AutoClickState.runOrder === RUN_ORDERS.INTERLEAVED) {
+      return button;
+    }
+    
+    if (targetIndex < nextTargetIndex) {
+      nextButton = button;
+      nextTargetIndex = targetIndex;
+    }
+  }
+  
+  return nextButton;
+}
+
+// ===========================================
+// LIVE TARGET INDEX
+// ===========================================
+
+// How long DOM mutations are batched before the queue is updated
+const MUTATION_FLUSH_MS = 100;
+
+// What the live index watches: insertions/removals, text and the attribute
+// changes that can make an element (un)clickable or change its label. Inline
+// styles and the data-auto-click-* markers are left out - highlighting writes
+// both on every queued button, and the click loop re-checks visibility anyway.
+const TARGET_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  characterData: true,
+  attributes: true,
+  attributeFilter: [
+    'disabled', 'aria-disabled', 'hidden', 'class',
+    'aria-label', 'title', 'value'
+  ]
+};
+
+// Elements the extension itself adds to the page (preview badges, picker overlay)
+const OWN_MARKUP_SELECTOR = '.auto-click-preview-marker, [data-auto-click-picker]';
+
+/**
+ * Start watching the page so targets are queued as soon as they're inserted
+ */
+function startTargetObserver() {
+  stopTargetObserver();
+  
+  const root = document.body || document.documentElement;
+  AutoClickState.targetObserver = new MutationObserver(handleTargetMutations);
+  AutoClickState.targetObserver.observe(root, TARGET_OBSERVER_OPTIONS);
+  observeShadowRoots(root);
+  
+  console.log('Live target index started');
+}
+
+/**
+ * Observe open shadow roots below a root - mutations inside them don't
+ * reach an observer on the light DOM
+ * @param {Document|Element|ShadowRoot} root - Where to look for shadow roots
+ */
+function observeShadowRoots(root) {
+  const observer = AutoClickState.targetObserver;
+  if (!observer) return;
+  
+  // Observing the same root again just refreshes its options
+  getOpenShadowRoots(root).forEach(shadowRoot => {
+    observer.observe(shadowRoot, TARGET_OBSERVER_OPTIONS);
+  });
 }
 
 /**
- * Highlight all buttons matching the selected pattern
- * @param {string} selectedText - Text pattern to highlight
+ * Stop watching the page and drop pending mutations
  */
-function highlightButtonsByPattern(selectedText) {
-  console.log(`Highlighting buttons with pattern: "${selectedText}"`);
-  
-  // Remove existing highlights first
-  removeAllHighlights();
-  
-  if (!selectedText) return;
-  
-  // Find all buttons with matching text
-  const allButtons = getAllButtonsOnPage();
-  const matchingButtons = allButtons.filter(button => 
-    button.innerText.trim() === selectedText
-  );
-  
-  // Highlight matching buttons
-  matchingButtons.forEach(button => addHighlightToButton(button, 'yellow'));
+function stopTargetObserver() {
+  if (AutoClickState.targetObserver) {
+    AutoClickState.targetObserver.disconnect();
+    AutoClickState.targetObserver = null;
+    console.log('Live target index stopped');
+  }
   
-  console.log(`Highlighted ${matchingButtons.length} buttons with pattern "${selectedText}"`);
-  return matchingButtons;
+  clearTimeout(AutoClickState.mutationFlushTimer);
+  AutoClickState.mutationFlushTimer = null;
+  AutoClickState.pendingMutations = [];
 }
 
-// ===========================================
-// AUTOMATION FUNCTIONS
-// ===========================================
+/**
+ * MutationObserver callback - batch records and flush them shortly after
+ * @param {Array} mutations - Mutation records
+ */
+function handleTargetMutations(mutations) {
+  AutoClickState.pendingMutations.push(...mutations);
+  
+  if (!AutoClickState.mutationFlushTimer) {
+    AutoClickState.mutationFlushTimer = setTimeout(flushTargetMutations, MUTATION_FLUSH_MS);
+  }
+}
 
 /**
- * Generate random delay between clicks (20-25 seconds in milliseconds)
- * @param {number} baseInterval - Base interval in seconds
- * @returns {number} Random delay in milliseconds
+ * Get the subtree to re-check for a mutated node. Text and attribute changes
+ * inside a button (e.g. a <span> label) re-check the whole button.
+ * @param {Node} node - Mutated node
+ * @returns {Element|ShadowRoot|null} Subtree to search
  */
-function generateRandomDelay(baseInterval = 20) {
-  // Ensure baseInterval is a number and at least 5 seconds
-  const safeInterval = Math.max(5, Number(baseInterval) || 20);
+function getMutationRoot(node) {
+  // Children added directly to a shadow root report the root itself
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    return node.isConnected ? node : null;
+  }
   
-  const minDelay = safeInterval * 1000; // Convert to milliseconds
-  const maxDelay = (safeInterval + 5) * 1000; // Add 5 seconds variance
-  const randomDelay = Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!element || !element.isConnected) return null;
   
-  console.log(`generateRandomDelay: base=${safeInterval}s, range=${minDelay}-${maxDelay}ms, generated=${randomDelay}ms (${randomDelay / 1000}s)`);
-  return 500;
+  return element.closest(CLICKABLE_SELECTOR) || element;
 }
 
 /**
- * Scroll to a specific button element
- * @param {Element} button - Button to scroll to
+ * Check whether a node is markup the extension added itself
+ * @param {Node} node - Added or removed node
+ * @returns {boolean} True for preview badges and picker overlays
  */
-function scrollToButton(button) {
-  console.log('Scrolling to button:', button.innerText.trim());
-  
-  button.scrollIntoView({
-    behavior: 'smooth',
-    block: 'start',
-    inline: 'nearest'
-  });
+function isOwnMarkup(node) {
+  return node.nodeType === Node.ELEMENT_NODE && node.matches(OWN_MARKUP_SELECTOR);
 }
 
 /**
- * Click a button and update its visual state
- * @param {Element} button - Button to click
+ * Drop roots that are inside another root so no subtree is searched twice
+ * @param {Set} roots - Elements to search
+ * @returns {Array} Outermost roots only
  */
-async function clickButton(button) {
-  const startTime = Date.now();
-  console.log(`=== CLICKING BUTTON: "${button.innerText.trim()}" ===`);
+function collapseRoots(roots) {
+  const rootList = Array.from(roots);
+  return rootList.filter(root => 
+    !rootList.some(other => other !== root && other.contains(root))
+  );
+}
+
+/**
+ * Apply batched mutations: queue inserted targets and drop removed,
+ * disabled or relabelled ones
+ * @returns {number} Number of newly queued buttons
+ */
+function flushTargetMutations() {
+  clearTimeout(AutoClickState.mutationFlushTimer);
+  AutoClickState.mutationFlushTimer = null;
   
-  try {
-    // Scroll to button first
-    console.log('Scrolling to button...');
-    scrollToButton(button);
-    
-    // Wait for scroll to complete
-    console.log('Waiting 1 second for scroll to complete...');
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Click the button
-    console.log('Executing click...');
-    button.click();
-    
-    // Mark as clicked and update highlight
-    AutoClickState.clickedButtons.add(button);
-    addHighlightToButton(button, 'green');
-    
-    // Update statistics - ONLY increment if not already counted
-    if (!button.hasAttribute('data-auto-click-counted')) {
-      AutoClickState.totalClicked++;
-      button.setAttribute('data-auto-click-counted', 'true');
-      console.log(`Button click counted. Total clicked: ${AutoClickState.totalClicked}`);
+  const observer = AutoClickState.targetObserver;
+  if (!observer || !AutoClickState.isAutomationRunning) return 0;
+  
+  const mutations = AutoClickState.pendingMutations.concat(observer.takeRecords());
+  AutoClickState.pendingMutations = [];
+  if (mutations.length === 0) return 0;
+  
+  const roots = new Set();
+  let needsPrune = false;
+  
+  mutations.forEach(mutation => {
+    if (mutation.type === 'childList') {
+      mutation.addedNodes.forEach(node => {
+        if (isOwnMarkup(node)) return;
+        const root = getMutationRoot(node);
+        if (root) roots.add(root);
+        if (node.nodeType === Node.ELEMENT_NODE) observeShadowRoots(node);
+      });
+      if (Array.from(mutation.removedNodes).some(node => !isOwnMarkup(node))) {
+        needsPrune = true;
+        // Removed text changes the label of its parent
+        const root = getMutationRoot(mutation.target);
+        if (root) roots.add(root);
+      }
     } else {
-      console.log('Button already counted, skipping increment');
+      // Attribute or text change - may enable, disable or relabel a target
+      needsPrune = true;
+      const root = getMutationRoot(mutation.target);
+      if (root) roots.add(root);
     }
-    
-    // Send progress update to popup
+  });
+  
+  const changedRoots = collapseRoots(roots);
+  const removed = needsPrune ? pruneQueuedButtons(changedRoots) : 0;
+  const added = changedRoots.length > 0 ? queueNewTargets(changedRoots).length : 0;
+  
+  if (removed > 0 || added > 0) {
+    // Keep the popup totals in step with the page
     sendProgressUpdate();
-    
-    const endTime = Date.now();
-    console.log(`Button click completed in ${endTime - startTime}ms`);
-    
-  } catch (error) {
-    console.error('Error clicking button:', error);
   }
+  
+  return added;
 }
 
 /**
- * Find next unclicked button in the current list
- * @returns {Element|null} Next button to click or null if none found
+ * Check whether a queued button still belongs to its target
+ * @param {Element} button - Queued button
+ * @returns {boolean} True if it's still attached, clickable and matching
  */
-function findNextUnclickedButton() {
-  for (const button of AutoClickState.currentButtonList) {
-    if (!AutoClickState.clickedButtons.has(button)) {
-      return button;
-    }
+function isQueuedButtonValid(button) {
+  if (!button.isConnected || !isClickableElement(button)) return false;
+  
+  const target = AutoClickState.selectedTargets[AutoClickState.buttonTargets.get(button)];
+  if (target && target.type === TARGET_TYPES.TEXT) {
+    return createTextMatcher(target.value, target.matchMode)(getButtonLabel(button));
   }
-  return null;
+  
+  return true;
 }
 
 /**
- * Scan for new buttons that might have appeared (infinite scroll)
- * @returns {Array} Array of new buttons found
+ * Remove unclicked buttons that were removed, disabled or no longer match
+ * @param {Array} roots - Only re-check buttons inside these subtrees (and detached
+ *   ones); all queued buttons when omitted
+ * @returns {number} Number of buttons dropped from the queue
  */
-function scanForNewButtons() {
-  console.log('Scanning for new buttons...');
+function pruneQueuedButtons(roots) {
+  const kept = [];
+  let removed = 0;
   
-  if (!AutoClickState.selectedPattern) return [];
+  AutoClickState.currentButtonList.forEach(button => {
+    const unchanged = roots && button.isConnected && !roots.some(root => root.contains(button));
+    if (unchanged ||
+        AutoClickState.clickedButtons.has(button) || 
+        button === AutoClickState.clickingButton ||
+        isQueuedButtonValid(button)) {
+      kept.push(button);
+      return;
+    }
+    
+    const targetIndex = AutoClickState.buttonTargets.get(button);
+    AutoClickState.buttonTargets.delete(button);
+    AutoClickState.targetStats[targetIndex].found--;
+    removeHighlightFromButton(button);
+    removed++;
+  });
   
-  const allCurrentButtons = getAllButtonsOnPage();
-  const matchingButtons = allCurrentButtons.filter(button => 
-    button.innerText.trim() === AutoClickState.selectedPattern
-  );
+  if (removed > 0) {
+    AutoClickState.currentButtonList = kept;
+    console.log(`Dropped ${removed} targets that were removed or disabled`);
+  }
   
-  // Find buttons that weren't in our original list
-  const newButtons = matchingButtons.filter(button => 
-    !AutoClickState.currentButtonList.includes(button)
-  );
+  return removed;
+}
+
+/**
+ * Queue targets inside the given subtrees that aren't queued yet
+ * @param {Array} roots - Subtrees to search
+ * @returns {Array} Array of newly queued buttons
+ */
+function queueNewTargets(roots) {
+  if (AutoClickState.selectedTargets.length === 0) return [];
+  
+  let newEntries;
+  try {
+    newEntries = findUnqueuedTargetButtons(roots);
+  } catch (error) {
+    console.error('Error matching inserted elements:', error.message);
+    return [];
+  }
+  const newButtons = newEntries.map(entry => entry.button);
   
   if (newButtons.length > 0) {
-    console.log(`Found ${newButtons.length} new buttons`);
+    // Targets dropped earlier and put back (virtualised lists) are queued again, not counted as new
+    const discovered = newButtons.filter(button => !AutoClickState.seenButtons.has(button));
+    console.log(`Found ${discovered.length} new buttons (${newButtons.length - discovered.length} re-inserted)`);
     
     // Track the count of newly discovered buttons
-    AutoClickState.newButtonsFound += newButtons.length;
+    AutoClickState.newButtonsFound += discovered.length;
     console.log(`Total new buttons discovered so far: ${AutoClickState.newButtonsFound}`);
     
     // Mark new buttons to distinguish from original count
-    newButtons.forEach(button => {
-      button.setAttribute('data-auto-click-new', 'true');
-      addHighlightToButton(button, 'yellow');
-    });
+    discovered.forEach(button => button.setAttribute('data-auto-click-new', 'true'));
+    newButtons.forEach(button => addHighlightToButton(button, 'yellow'));
     
     // Add new buttons to our list
-    AutoClickState.currentButtonList.push(...newButtons);
-    
-    console.log(`Total buttons now: ${AutoClickState.originalButtonCount} original + ${AutoClickState.newButtonsFound} new = ${AutoClickState.currentButtonList.length}`);
+    addButtonsToQueue(newEntries, true);
     
-    // IMPORTANT: Send progress update to popup with new total!
-    sendProgressUpdate();
-    console.log(`Progress updated with new total: ${AutoClickState.currentButtonList.length}`);
+    console.log(`Total buttons now: ${AutoClickState.currentButtonList.length} queued (${AutoClickState.newButtonsFound} discovered during the run)`);
   }
   
   return newButtons;
@@ -316,29 +2697,74 @@ async function processNextButton() {
     return;
   }
   
+  if (AutoClickState.isPaused) {
+    haltForPause();
+    return;
+  }
+  
   console.log('=== Processing next button ===');
   
+  if (stopIfConditionMet()) return;
+  
+  // Every pattern hit its click limit - nothing left to do
+  if (areAllTargetLimitsReached()) {
+    console.log('All pattern click limits reached, ending automation');
+    stopAutomation(true, STOP_REASONS.PATTERN_LIMITS);
+    return;
+  }
+  
   // Find next button to click
   let nextButton = findNextUnclickedButton();
   
-  // If no unclicked buttons, scan for new ones
+  // If no unclicked buttons, apply any mutations that haven't been flushed yet
   if (!nextButton) {
-    console.log('No more unclicked buttons, scanning for new ones...');
-    const newButtons = scanForNewButtons();
+    console.log('No more unclicked buttons, checking the live index for new ones...');
+    if (flushTargetMutations() > 0) {
+      nextButton = findNextUnclickedButton(); // New buttons may belong to a limited pattern
+    }
     
-    if (newButtons.length > 0) {
-      nextButton = newButtons[0]; // Click first new button found
-    } else {
-      // Wait 10 seconds as precaution, then final scan
-      console.log('No new buttons found, waiting 10 seconds for final scan...');
-      setTimeout(() => {
-        const finalScan = scanForNewButtons();
-        if (finalScan.length > 0) {
+    // Keep scrolling / loading more until enough empty rounds in a row
+    while (!nextButton && AutoClickState.discovery.enabled &&
+           AutoClickState.emptyDiscoveryRounds < AutoClickState.discovery.maxEmptyRounds) {
+      const discovered = await runDiscoveryRound();
+      if (!AutoClickState.isAutomationRunning) return;
+      if (AutoClickState.isPaused) {
+        haltForPause(); // Discovery counters are kept for the resume
+        return;
+      }
+      
+      if (discovered > 0) {
+        AutoClickState.emptyDiscoveryRounds = 0;
+        nextButton = findNextUnclickedButton();
+      } else {
+        AutoClickState.emptyDiscoveryRounds++;
+        console.log(`Discovery found nothing (${AutoClickState.emptyDiscoveryRounds}/${AutoClickState.discovery.maxEmptyRounds} empty rounds)`);
+      }
+    }
+    
+    if (!nextButton && AutoClickState.discovery.enabled) {
+      console.log('Discovery exhausted, ending this page');
+      await finishPage();
+      return;
+    }
+    
+    if (!nextButton) {
+      // Wait 1 second as precaution, then final scan
+      console.log('No new buttons found, waiting 1 second for final scan...');
+      // Stored so stopAutomation() can cancel it
+      AutoClickState.automationInterval = setTimeout(() => {
+        AutoClickState.automationInterval = null;
+        if (AutoClickState.isPaused) {
+          haltForPause();
+          return;
+        }
+        flushTargetMutations();
+        if (findNextUnclickedButton()) {
           console.log('Final scan found new buttons, continuing automation');
           processNextButton();
         } else {
-          console.log('No more buttons found, ending automation');
-          stopAutomation(true); // true = completed successfully
+          console.log('No more buttons found, ending this page');
+          finishPage();
         }
       }, 1000);
       return;
@@ -346,20 +2772,27 @@ async function processNextButton() {
   }
   
   if (nextButton) {
-    console.log('Found next button to click:', nextButton.innerText.trim());
+    console.log('Found next button to click:', getButtonLabel(nextButton));
     
     // Click the button (this is now async and includes proper delays)
-    await clickButton(nextButton);
+    const result = await clickButton(nextButton, AutoClickState.delaySettings.scrollWaitMs);
+    const failed = result === CLICK_RESULTS.NO_EFFECT || result === CLICK_RESULTS.ERROR;
+    AutoClickState.consecutiveFailures = failed ? AutoClickState.consecutiveFailures + 1 : 0;
     
-    // Get the current interval setting
-    const intervalSeconds = await getStoredInterval();
-    console.log('Retrieved interval from storage:', intervalSeconds, 'seconds');
+    // Stopped from the popup during the click, or the click hit a limit / revealed stop text
+    if (!AutoClickState.isAutomationRunning || stopIfConditionMet()) return;
     
-    const delay = generateRandomDelay(intervalSeconds);
+    // Read after the click so delays edited from the popup meanwhile apply. Wake up
+    // when a time limit is reached rather than after it, so the run stops on time.
+    const delay = Math.min(
+      computeNextDelay(AutoClickState.delaySettings, AutoClickState.consecutiveFailures),
+      getTimeUntilStop()
+    );
     console.log(`Scheduling next click in ${delay / 1000} seconds...`);
     
     // Schedule next button click after proper delay
     AutoClickState.automationInterval = setTimeout(() => {
+      AutoClickState.automationInterval = null;
       console.log('Interval timeout completed, processing next button...');
       processNextButton();
     }, delay);
@@ -368,57 +2801,126 @@ async function processNextButton() {
 
 /**
  * Start the clicking automation
- * @param {string} pattern - Text pattern to click
- * @param {number} interval - Click interval in seconds
+ * @param {Array|Object|string} targets - Target(s) to click (text patterns, CSS selectors or XPaths)
+ * @param {Object} options - Run options
+ * @param {Object} options.delaySettings - Delay settings (see DEFAULT_DELAY_SETTINGS)
+ * @param {string} options.runOrder - How multiple patterns are ordered (see RUN_ORDERS)
+ * @param {Object} options.stopConditions - Optional stop conditions (see normalizeStopConditions)
+ * @param {Object} options.verification - Post-click verification (see DEFAULT_VERIFICATION)
+ * @param {Object} options.discovery - Infinite scroll / "Load more" driver (see DEFAULT_DISCOVERY)
+ * @param {Object} options.pagination - "Follow next page" settings (see DEFAULT_PAGINATION)
+ * @param {Object} options.itemContext - Item details recorded with each click (see DEFAULT_ITEM_CONTEXT)
+ * @param {Object} options.exclusions - Targets to leave out (see normalizeExclusions)
+ * @param {Object} options.resume - Counters carried over from the previous page (see getResumeState)
  */
-async function startClickingAutomation(pattern, interval) {
-  console.log(`Starting automation for pattern: "${pattern}" with ${interval}s interval`);
+async function startClickingAutomation(targets, options = {}) {
+  const {
+    delaySettings,
+    runOrder = RUN_ORDERS.SEQUENTIAL,
+    stopConditions = {},
+    verification = {},
+    discovery = {},
+    pagination = {},
+    itemContext = {},
+    exclusions = {},
+    resume = null
+  } = options;
+  const selectedTargets = normalizeRunTargets(targets);
+  const description = selectedTargets.map(describeTarget).join(' + ');
+  const settings = normalizeDelaySettings(delaySettings);
+  console.log(`Starting automation for pattern: "${description}" (${runOrder}) with ${settings.strategy} delay`, settings);
+  
+  if (selectedTargets.length === 0) {
+    return { success: false, error: 'No pattern or selector provided' };
+  }
   
   if (AutoClickState.isAutomationRunning) {
     console.log('Automation already running');
     return { success: false, error: 'Automation already running' };
   }
   
-  // Store interval FIRST before doing anything else
-  console.log('Storing interval in storage:', interval);
-  await new Promise((resolve) => {
-    chrome.storage.local.set({ clickInterval: interval }, () => {
-      console.log('Interval stored successfully');
-      resolve();
-    });
-  });
-  
-  // Verify it was stored correctly
-  const storedInterval = await getStoredInterval();
-  console.log('Verified stored interval:', storedInterval);
+  let itemContextSettings;
+  let exclusionRules;
+  try {
+    itemContextSettings = normalizeItemContext(itemContext);
+    exclusionRules = normalizeExclusions(exclusions);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
   
   // Reset state completely
   AutoClickState.isAutomationRunning = true;
-  AutoClickState.selectedPattern = pattern;
+  AutoClickState.delaySettings = settings;
+  resetRunQueue(selectedTargets, runOrder);
   AutoClickState.totalClicked = 0; // Reset counter
   AutoClickState.startTime = Date.now();
-  AutoClickState.clickedButtons.clear();
+  AutoClickState.isPaused = false;
+  AutoClickState.pausedAt = null;
+  AutoClickState.pausedTime = 0;
+  AutoClickState.loopHalted = false;
   AutoClickState.newButtonsFound = 0; // Reset new buttons counter
+  AutoClickState.consecutiveFailures = 0;
+  AutoClickState.stopConditions = normalizeStopConditions(stopConditions);
+  AutoClickState.stopAtTimestamp = AutoClickState.stopConditions.stopAtTime ? 
+    getNextClockTime(AutoClickState.stopConditions.stopAtTime) : null;
+  console.log('Stop conditions:', AutoClickState.stopConditions);
+  AutoClickState.verification = normalizeVerification(verification);
+  AutoClickState.verifiedClicks = 0;
+  AutoClickState.unverifiedClicks = 0;
+  AutoClickState.failedClicks = 0;
+  AutoClickState.retriedClicks = 0;
+  AutoClickState.clickResults = [];
+  console.log('Click verification:', AutoClickState.verification);
+  AutoClickState.discovery = normalizeDiscovery(discovery);
+  AutoClickState.discoveryRounds = 0;
+  AutoClickState.emptyDiscoveryRounds = 0;
+  console.log('Discovery driver:', AutoClickState.discovery);
+  AutoClickState.pagination = normalizePagination(pagination);
+  AutoClickState.pageNumber = 1;
+  AutoClickState.followingNextPage = false;
+  console.log('Pagination:', AutoClickState.pagination);
+  AutoClickState.itemContext = itemContextSettings;
+  AutoClickState.exclusions = exclusionRules;
+  console.log('Exclusion rules:', AutoClickState.exclusions);
+  if (resume) {
+    applyResumeState(resume);
+  }
   
   // Remove any previous counting attributes
-  document.querySelectorAll('[data-auto-click-counted]').forEach(button => {
+  querySelectorAllFrom(document, '[data-auto-click-counted]').forEach(button => {
     button.removeAttribute('data-auto-click-counted');
   });
   
-  // Get buttons matching pattern
-  const matchingButtons = highlightButtonsByPattern(pattern);
-  AutoClickState.currentButtonList = [...matchingButtons];
+  // Get buttons matching the targets
+  let initialEntries;
+  try {
+    removeAllHighlights();
+    initialEntries = findUnqueuedTargetButtons();
+  } catch (error) {
+    AutoClickState.isAutomationRunning = false;
+    AutoClickState.selectedTargets = [];
+    AutoClickState.targetStats = [];
+    return { success: false, error: error.message };
+  }
+  addButtonsToQueue(initialEntries, false);
+  AutoClickState.currentButtonList.forEach(button => addHighlightToButton(button, 'yellow'));
   
   // Store the ORIGINAL button count for consistent progress display
-  AutoClickState.originalButtonCount = matchingButtons.length;
+  AutoClickState.originalButtonCount = AutoClickState.currentButtonList.length + 
+    (resume ? resume.originalButtons || 0 : 0);
   console.log(`Original button count stored: ${AutoClickState.originalButtonCount}`);
   
-  if (matchingButtons.length === 0) {
-    stopAutomation();
-    return { success: false, error: 'No buttons found with selected pattern' };
+  // A resumed run carries on with an empty page - it may still lead to the next one
+  if (AutoClickState.currentButtonList.length === 0 && !resume) {
+    stopAutomation(false, STOP_REASONS.NO_TARGETS);
+    return { success: false, error: AutoClickState.excludedTargets.length > 0 ? 
+      'Every matching button is excluded' : 'No buttons found with selected pattern' };
   }
   
-  console.log(`Found ${matchingButtons.length} buttons to click`);
+  console.log(`Found ${AutoClickState.originalButtonCount} buttons to click`);
+  
+  // Queue targets as the page inserts them instead of rescanning
+  startTargetObserver();
   
   // Start the automation process
   console.log('Starting automation process...');
@@ -426,19 +2928,24 @@ async function startClickingAutomation(pattern, interval) {
   
   return { 
     success: true, 
-    totalButtons: matchingButtons.length,
-    pattern: pattern
+    totalButtons: getRunTotal(),
+    pattern: description,
+    patternProgress: getPatternProgress(),
+    excludedCount: AutoClickState.excludedTargets.length
   };
 }
 
 /**
  * Stop the automation process
  * @param {boolean} completed - Whether automation completed successfully
+ * @param {string} stopReason - Why the run ended (see STOP_REASONS)
+ * @param {string} stopDetail - Optional detail for the reason (e.g. the text that appeared)
  */
-function stopAutomation(completed = false) {
-  console.log(`Stopping automation. Completed: ${completed}`);
+function stopAutomation(completed = false, stopReason = null, stopDetail = '') {
+  console.log(`Stopping automation. Completed: ${completed}, reason: ${stopReason}`);
   
   AutoClickState.isAutomationRunning = false;
+  stopTargetObserver();
   
   // Clear any pending timeouts
   if (AutoClickState.automationInterval) {
@@ -446,16 +2953,26 @@ function stopAutomation(completed = false) {
     AutoClickState.automationInterval = null;
   }
   
-  // Calculate final statistics
-  const endTime = Date.now();
-  const totalTime = AutoClickState.startTime ? 
-    Math.round((endTime - AutoClickState.startTime) / 1000) : 0;
+  // Calculate final statistics (paused time doesn't count)
+  const totalTime = Math.round(getActiveRunTime() / 1000);
   
   const finalStats = {
     totalClicked: AutoClickState.totalClicked,
     totalTime: totalTime,
     completed: completed,
-    pattern: AutoClickState.selectedPattern,
+    stopReason: stopReason || (completed ? STOP_REASONS.COMPLETED : STOP_REASONS.USER),
+    stopDetail: stopDetail,
+    verifiedClicks: AutoClickState.verifiedClicks,
+    unverifiedClicks: AutoClickState.unverifiedClicks,
+    failedClicks: AutoClickState.failedClicks,
+    retriedClicks: AutoClickState.retriedClicks,
+    clickResults: AutoClickState.clickResults,
+    excludedTargets: AutoClickState.excludedTargets,
+    discoveryRounds: AutoClickState.discoveryRounds,
+    pagesVisited: AutoClickState.pageNumber,
+    pattern: AutoClickState.selectedTargets.map(describeTarget).join(' + '),
+    patternStats: getPatternProgress(),
+    runOrder: AutoClickState.runOrder,
     originalButtons: AutoClickState.originalButtonCount,
     newButtonsFound: AutoClickState.newButtonsFound
   };
@@ -466,55 +2983,360 @@ function stopAutomation(completed = false) {
   sendCompletionUpdate(finalStats);
   
   // Clean up attributes
-  document.querySelectorAll('[data-auto-click-counted]').forEach(button => {
+  querySelectorAllFrom(document, '[data-auto-click-counted]').forEach(button => {
     button.removeAttribute('data-auto-click-counted');
   });
   
-  document.querySelectorAll('[data-auto-click-new]').forEach(button => {
+  querySelectorAllFrom(document, '[data-auto-click-new]').forEach(button => {
     button.removeAttribute('data-auto-click-new');
   });
   
   // Reset state
-  AutoClickState.selectedPattern = null;
+  AutoClickState.selectedTargets = [];
+  AutoClickState.targetStats = [];
+  AutoClickState.buttonTargets.clear();
+  AutoClickState.seenButtons = new WeakSet();
   AutoClickState.currentButtonList = [];
   AutoClickState.clickedButtons.clear();
   AutoClickState.startTime = null;
+  AutoClickState.isPaused = false;
+  AutoClickState.pausedAt = null;
+  AutoClickState.pausedTime = 0;
+  AutoClickState.loopHalted = false;
   AutoClickState.totalClicked = 0;
   AutoClickState.originalButtonCount = 0;
   AutoClickState.newButtonsFound = 0;
+  AutoClickState.consecutiveFailures = 0;
+  AutoClickState.stopConditions = {};
+  AutoClickState.stopAtTimestamp = null;
+  AutoClickState.verification = {};
+  AutoClickState.verifiedClicks = 0;
+  AutoClickState.unverifiedClicks = 0;
+  AutoClickState.failedClicks = 0;
+  AutoClickState.retriedClicks = 0;
+  AutoClickState.clickResults = [];
+  AutoClickState.excludedTargets = [];
+  AutoClickState.excludedButtons.clear();
+  AutoClickState.manualOverrides = new WeakMap(); // Alt-clicks only apply to the run they were made for
+  AutoClickState.discovery = {};
+  AutoClickState.discoveryRounds = 0;
+  AutoClickState.emptyDiscoveryRounds = 0;
+  AutoClickState.pagination = {};
+  AutoClickState.pageNumber = 1;
+  AutoClickState.followingNextPage = false;
+  AutoClickState.clickingButton = null;
 }
 
 // ===========================================
-// UTILITY FUNCTIONS
+// PAUSE / RESUME
+// ===========================================
+
+/**
+ * Time the run has been going, not counting pauses
+ * @param {number} now - Current time
+ * @returns {number} Active run time in ms
+ */
+function getActiveRunTime(now = Date.now()) {
+  if (!AutoClickState.startTime) return 0;
+  
+  const currentPause = AutoClickState.pausedAt ? now - AutoClickState.pausedAt : 0;
+  return Math.max(0, now - AutoClickState.startTime - AutoClickState.pausedTime - currentPause);
+}
+
+/**
+ * Pause the running automation. A click already under way finishes; the loop
+ * stops at its next step and keeps the queue, clicked set and discovery state.
+ * @returns {Object} { success } or { success: false, error }
+ */
+function pauseAutomation() {
+  if (!AutoClickState.isAutomationRunning) {
+    return { success: false, error: 'No automation running' };
+  }
+  if (AutoClickState.isPaused) {
+    return { success: true };
+  }
+  if (AutoClickState.followingNextPage) {
+    return { success: false, error: 'Moving to the next page, try again in a moment' };
+  }
+  
+  console.log('Pausing automation');
+  AutoClickState.isPaused = true;
+  AutoClickState.pausedAt = Date.now();
+  
+  // A pending delay would only run the next step to find the run paused. Without one a
+  // step is under way (the timers clear their id when they fire) and halts by itself.
+  if (AutoClickState.automationInterval) {
+    clearTimeout(AutoClickState.automationInterval);
+    AutoClickState.automationInterval = null;
+    haltForPause();
+  }
+  
+  sendProgressUpdate();
+  return { success: true };
+}
+
+/**
+ * Resume a paused automation from the next unclicked target
+ * @returns {Object} { success } or { success: false, error }
+ */
+function resumeAutomation() {
+  if (!AutoClickState.isAutomationRunning) {
+    return { success: false, error: 'No automation running' };
+  }
+  if (!AutoClickState.isPaused) {
+    return { success: true };
+  }
+  
+  const pausedFor = Date.now() - AutoClickState.pausedAt;
+  console.log(`Resuming automation after ${Math.round(pausedFor / 1000)}s paused`);
+  AutoClickState.pausedTime += pausedFor;
+  AutoClickState.pausedAt = null;
+  AutoClickState.isPaused = false;
+  
+  // A step still under way (a click, a discovery round) carries on by itself
+  if (AutoClickState.loopHalted) {
+    AutoClickState.loopHalted = false;
+    processNextButton();
+  }
+  
+  sendProgressUpdate();
+  return { success: true };
+}
+
+/**
+ * Stop the click loop at a step boundary until resumeAutomation()
+ */
+function haltForPause() {
+  console.log('Automation paused, waiting for resume');
+  AutoClickState.loopHalted = true;
+}
+
 // ===========================================
+// DRY-RUN PREVIEW
+// ===========================================
+
+// How long the preview stays on each target before moving to the next
+const PREVIEW_STEP_MS = 400;
+
+// Why the preview reports a matching target as skipped
+const SKIP_REASONS = {
+  HIDDEN: 'hidden',               // Hidden or disabled, so never queued
+  PATTERN_LIMIT: 'pattern-limit', // Its pattern reaches its click limit first
+  MAX_CLICKS: 'max-clicks',       // The run's max clicks are used up first
+  EXCLUDED: 'excluded'            // Left out by an exclusion rule or Alt-click
+};
+
+// Preview walk state (separate from automation state)
+const PreviewState = {
+  walkId: 0,   // Bumped to cancel a walk in progress
+  markers: []  // Sequence number badges added to the page
+};
+
+/**
+ * Walk the run queue in the order processNextButton() would click it, without clicking
+ * @param {Object} stopConditions - Normalized stop conditions
+ * @returns {Object} { order: [Element], skipped: [{ button, targetIndex, reason }] }
+ */
+function walkRunQueue(stopConditions) {
+  const order = [];
+  let button;
+  
+  while ((button = findNextUnclickedButton())) {
+    if (stopConditions.maxClicks && order.length >= stopConditions.maxClicks) break;
+    
+    // Counted as clicked so per-pattern limits apply as in a real run
+    AutoClickState.clickedButtons.add(button);
+    AutoClickState.targetStats[AutoClickState.buttonTargets.get(button)].clicked++;
+    order.push(button);
+  }
+  
+  const skipped = AutoClickState.currentButtonList
+    .filter(queued => !AutoClickState.clickedButtons.has(queued))
+    .map(queued => {
+      const targetIndex = AutoClickState.buttonTargets.get(queued);
+      return {
+        button: queued,
+        targetIndex: targetIndex,
+        reason: isTargetLimitReached(targetIndex) ? SKIP_REASONS.PATTERN_LIMIT : SKIP_REASONS.MAX_CLICKS
+      };
+    });
+  
+  return { order: order, skipped: skipped };
+}
 
 /**
- * Get stored click interval from storage
- * @returns {Promise<number>} Click interval in seconds
+ * Show what a run would click: count, estimated duration and skipped targets.
+ * Numbers each target on the page in click order; nothing is clicked.
+ * @param {Array|Object|string} targets - Run targets
+ * @param {Object} options - { runOrder, delaySettings, stopConditions, itemContext, exclusions }
+ * @returns {Object} Result with totalButtons, etaMs and skipped
  */
-async function getStoredInterval() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['clickInterval'], (result) => {
-      const interval = result.clickInterval || 20;
-      console.log('getStoredInterval: retrieved from storage =', result, 'using interval =', interval);
-      resolve(interval);
+function previewAutomation(targets, options = {}) {
+  if (AutoClickState.isAutomationRunning) {
+    return { success: false, error: 'Stop the running automation before previewing' };
+  }
+  
+  const selectedTargets = normalizeRunTargets(targets);
+  if (selectedTargets.length === 0) {
+    return { success: false, error: 'No pattern or selector provided' };
+  }
+  
+  removeAllHighlights();
+  
+  let walk;
+  let excluded;
+  const hidden = [];
+  try {
+    // Same queue building as startClickingAutomation()
+    AutoClickState.itemContext = normalizeItemContext(options.itemContext);
+    AutoClickState.exclusions = normalizeExclusions(options.exclusions);
+    resetRunQueue(selectedTargets, options.runOrder);
+    addButtonsToQueue(findUnqueuedTargetButtons(), false);
+    excluded = AutoClickState.excludedTargets;
+    walk = walkRunQueue(normalizeStopConditions(options.stopConditions));
+    
+    selectedTargets.forEach((target, targetIndex) => {
+      findUnclickableMatches(target).forEach(button => {
+        hidden.push({ button: button, targetIndex: targetIndex, reason: SKIP_REASONS.HIDDEN });
+      });
     });
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    resetRunQueue([], RUN_ORDERS.SEQUENTIAL);
+  }
+  
+  const skipped = walk.skipped.concat(hidden);
+  const etaMs = estimateRunDuration(walk.order.length, normalizeDelaySettings(options.delaySettings));
+  console.log(`Preview: ${walk.order.length} clicks, ${skipped.length} skipped, ${excluded.length} excluded, about ${etaMs}ms`);
+  
+  walk.skipped.forEach(entry => {
+    addHighlightToButton(entry.button, 'orange');
+    addPreviewMarker(entry.button, '–', '#fd7e14');
+  });
+  showPreviewWalk(walk.order);
+  
+  return {
+    success: true,
+    totalButtons: walk.order.length,
+    etaMs: etaMs,
+    pattern: selectedTargets.map(describeTarget).join(' + '),
+    skipped: skipped.map(entry => ({
+      label: getButtonLabel(entry.button),
+      pattern: describeTarget(selectedTargets[entry.targetIndex]),
+      reason: entry.reason
+    })).concat(excluded.map(record => ({
+      label: record.label,
+      pattern: record.pattern,
+      reason: SKIP_REASONS.EXCLUDED,
+      exclusion: record.reason,
+      detail: record.detail
+    })))
+  };
+}
+
+/**
+ * Scroll to each target in click order and number it
+ * @param {Array} order - Buttons in click order
+ */
+async function showPreviewWalk(order) {
+  const walkId = ++PreviewState.walkId;
+  
+  for (let i = 0; i < order.length; i++) {
+    if (PreviewState.walkId !== walkId || AutoClickState.isAutomationRunning) return;
+    if (!order[i].isConnected) continue;
+    
+    scrollToButton(order[i]);
+    addHighlightToButton(order[i], 'yellow');
+    addPreviewMarker(order[i], String(i + 1), '#667eea');
+    await new Promise(resolve => setTimeout(resolve, PREVIEW_STEP_MS));
+  }
+  
+  console.log('Preview walk finished');
+}
+
+/**
+ * Put a small numbered badge on the top-left corner of a button
+ * @param {Element} button - Target button
+ * @param {string} text - Badge text
+ * @param {string} color - Badge background
+ */
+function addPreviewMarker(button, text, color) {
+  const rect = button.getBoundingClientRect();
+  const marker = document.createElement('div');
+  marker.className = 'auto-click-preview-marker';
+  marker.textContent = text;
+  Object.assign(marker.style, {
+    position: 'absolute',
+    top: `${rect.top + window.scrollY - 10}px`,
+    left: `${rect.left + window.scrollX - 10}px`,
+    minWidth: '20px',
+    height: '20px',
+    padding: '0 5px',
+    boxSizing: 'border-box',
+    borderRadius: '10px',
+    background: color,
+    color: 'white',
+    font: 'bold 11px/20px Arial, sans-serif',
+    textAlign: 'center',
+    pointerEvents: 'none',
+    zIndex: '2147483647'
   });
+  
+  document.body.appendChild(marker);
+  PreviewState.markers.push(marker);
+}
+
+/**
+ * Stop a preview walk and remove its badges
+ */
+function clearPreview() {
+  PreviewState.walkId++;
+  PreviewState.markers.forEach(marker => marker.remove());
+  PreviewState.markers = [];
+}
+
+// ===========================================
+// UTILITY FUNCTIONS
+// ===========================================
+
+/**
+ * Change the delays of the running automation (edited in the popup mid-run).
+ * Each run keeps its own settings, so runs in other tabs aren't affected.
+ * @param {Object} delaySettings - Delay settings (see DEFAULT_DELAY_SETTINGS)
+ * @returns {Object} Response with success status
+ */
+function updateDelaySettings(delaySettings) {
+  if (!AutoClickState.isAutomationRunning) {
+    return { success: false, error: 'No automation running' };
+  }
+  
+  AutoClickState.delaySettings = normalizeDelaySettings(delaySettings);
+  console.log('Delay settings updated for this run:', AutoClickState.delaySettings);
+  return { success: true };
 }
 
 /**
  * Send progress update to popup via background script
  */
 function sendProgressUpdate() {
-  // Use current total button count (includes newly found buttons)
-  const totalButtons = AutoClickState.currentButtonList.length;
+  // Use current total button count (includes newly found buttons, capped by per-pattern limits)
+  const totalButtons = getRunTotal();
   
   const progressData = {
     action: 'progressUpdate',
     clickedCount: AutoClickState.totalClicked,
     totalButtons: totalButtons, // Dynamic total that updates as new buttons are found
     isRunning: AutoClickState.isAutomationRunning,
-    pattern: AutoClickState.selectedPattern,
+    isPaused: AutoClickState.isPaused,
+    pattern: AutoClickState.selectedTargets.map(describeTarget).join(' + '),
+    patternProgress: getPatternProgress(),
+    verifiedClicks: AutoClickState.verifiedClicks,
+    unverifiedClicks: AutoClickState.unverifiedClicks,
+    failedClicks: AutoClickState.failedClicks,
+    lastClickResult: AutoClickState.clickResults[AutoClickState.clickResults.length - 1] || null,
+    pageNumber: AutoClickState.pageNumber,
+    excludedCount: AutoClickState.excludedTargets.length,
     originalCount: AutoClickState.originalButtonCount, // For analytics only
     newButtonsFound: AutoClickState.newButtonsFound   // For analytics only
   };
@@ -534,6 +3356,22 @@ function sendProgressUpdate() {
     });
 }
 
+/**
+ * Send a single click result to popup (streamed as it happens)
+ * @param {Object} clickEntry - { label, result, attempts, timestamp, item, page }
+ */
+function sendClickEvent(clickEntry) {
+  chrome.runtime.sendMessage({
+    action: 'clickEvent',
+    event: {
+      ...clickEntry,
+      clickNumber: AutoClickState.clickResults.length
+    }
+  }).catch((error) => {
+    console.error('Error sending click event:', error);
+  });
+}
+
 /**
  * Send completion update to popup
  * @param {Object} stats - Final automation statistics
@@ -560,7 +3398,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
     case 'scanButtons':
       try {
-        const patterns = generateButtonPatterns();
+        const patterns = generateButtonPatterns(Boolean(message.normalizeLabels));
         sendResponse({ success: true, patterns: patterns });
       } catch (error) {
         console.error('Error scanning buttons:', error);
@@ -570,10 +3408,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       
     case 'highlightButtons':
       try {
-        const matchingButtons = highlightButtonsByPattern(message.pattern);
+        const targets = message.targets ? 
+          normalizeRunTargets(message.targets) : normalizeTarget(message.target || message.pattern);
+        // A running automation keeps the rules it started with
+        if (!AutoClickState.isAutomationRunning) {
+          AutoClickState.itemContext = normalizeItemContext(message.itemContext);
+          AutoClickState.exclusions = normalizeExclusions(message.exclusions);
+        }
+        const matchingButtons = highlightButtonsByPattern(targets);
+        const excludedCount = matchingButtons
+          .filter(button => button.getAttribute('data-auto-click-highlight') === 'purple').length;
         sendResponse({ 
           success: true, 
-          highlightedCount: matchingButtons.length 
+          highlightedCount: matchingButtons.length - excludedCount,
+          excludedCount: excludedCount
         });
       } catch (error) {
         console.error('Error highlighting buttons:', error);
@@ -581,12 +3429,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       break;
       
+    case 'previewAutomation':
+      try {
+        const result = previewAutomation(message.targets || message.target || message.pattern, {
+          runOrder: message.runOrder,
+          delaySettings: message.delaySettings,
+          stopConditions: message.stopConditions,
+          itemContext: message.itemContext,
+          exclusions: message.exclusions
+        });
+        sendResponse(result);
+      } catch (error) {
+        console.error('Error previewing automation:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
     case 'startAutomation':
       // Handle async startClickingAutomation
       (async () => {
         try {
           console.log('Received start automation command:', message);
-          const result = await startClickingAutomation(message.pattern, message.interval);
+          // Older callers send a plain interval in seconds
+          const delaySettings = message.delaySettings || 
+            (message.interval ? { intervalMs: message.interval * 1000 } : {});
+          const result = await startClickingAutomation(
+            message.targets || message.target || message.pattern,
+            {
+              delaySettings: delaySettings,
+              runOrder: message.runOrder,
+              stopConditions: message.stopConditions,
+              verification: message.verification,
+              discovery: message.discovery,
+              pagination: message.pagination,
+              itemContext: message.itemContext,
+              exclusions: message.exclusions,
+              resume: message.resume
+            }
+          );
           sendResponse(result);
         } catch (error) {
           console.error('Error starting automation:', error);
@@ -595,9 +3475,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       })();
       return true; // Keep message channel open for async response
       
+    case 'pauseAutomation':
+      sendResponse(pauseAutomation());
+      break;
+      
+    case 'resumeAutomation':
+      sendResponse(resumeAutomation());
+      break;
+      
+    case 'updateDelaySettings':
+      sendResponse(updateDelaySettings(message.delaySettings));
+      break;
+      
+    case 'startPicker':
+      if (AutoClickState.isAutomationRunning) {
+        sendResponse({ success: false, error: 'Stop the running automation before picking an element' });
+        break;
+      }
+      startElementPicker();
+      sendResponse({ success: true });
+      break;
+      
+    case 'stopPicker':
+      stopElementPicker();
+      sendResponse({ success: true });
+      break;
+      
+    case 'getStatus':
+      sendResponse({ 
+        success: true, 
+        isRunning: AutoClickState.isAutomationRunning, 
+        isPaused: AutoClickState.isPaused 
+      });
+      break;
+      
     case 'stopAutomation':
       try {
-        stopAutomation();
+        // Only report stats for a run that is actually in progress
+        if (AutoClickState.isAutomationRunning) {
+          stopAutomation(false, STOP_REASONS.USER);
+        }
         removeAllHighlights();
         sendResponse({ success: true });
       } catch (error) {
@@ -616,6 +3533,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // INITIALIZATION
 // ===========================================
 
+/**
+ * Emergency stop: Escape ends a running automation
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleEmergencyStopKey(event) {
+  // The element picker handles its own Escape. Pages use Escape for their own
+  // dialogs, so without a run in this frame it's left alone (and the background isn't woken).
+  if (event.key !== 'Escape' || PickerState.isActive || !AutoClickState.isAutomationRunning) return;
+  
+  console.log('Escape pressed - stopping automation');
+  stopAutomation(false, STOP_REASONS.USER);
+  removeAllHighlights();
+  
+  // Other frames of this tab may be running too
+  chrome.runtime.sendMessage({ action: 'emergencyStop' })
+    .catch(() => {
+      // Extension reloaded or background asleep, nothing else to stop
+    });
+}
+
 /**
  * Initialize content script when page loads
  */
@@ -625,10 +3562,20 @@ function initializeContentScript() {
   // Clean up any existing highlights on page load
   removeAllHighlights();
   
+  // Escape works as an emergency stop while clicking
+  window.addEventListener('keydown', handleEmergencyStopKey, true);
+  
+  // Alt-click a highlighted target to skip it (or bring it back)
+  window.addEventListener('click', handleExclusionClick, true);
+  
   // Listen for page navigation to clean up state
   window.addEventListener('beforeunload', () => {
-    if (AutoClickState.isAutomationRunning) {
-      stopAutomation();
+    if (AutoClickState.isAutomationRunning && AutoClickState.followingNextPage) {
+      // Leaving for the next page - the background resumes the run there
+      AutoClickState.isAutomationRunning = false;
+      stopTargetObserver();
+    } else if (AutoClickState.isAutomationRunning) {
+      stopAutomation(false, STOP_REASONS.PAGE_UNLOAD);
     }
     removeAllHighlights();
   });
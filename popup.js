@@ -3,10 +3,28 @@ console.log('Auto Click Assistant: Popup script loaded');
 
 // UI state management
 const PopupState = {
+  tabId: null,            // Tab the popup controls (the active tab unless another is chosen)
+  sessions: [],           // Automations running in any tab, from the background registry
   isScanning: false,
   isAutomationRunning: false,
+  isPaused: false,        // Run in the shown tab is paused
   buttonPatterns: [],
-  selectedPattern: null,
+  targetType: 'text',     // 'text' | 'css' | 'xpath'
+  selectedPattern: null,  // Text pattern chosen in the dropdown or typed
+  matchMode: 'exact',     // How text patterns are compared with labels
+  normalizeLabels: false, // Collapse near-identical labels in the dropdown
+  runTargets: [],         // Targets queued for a multi-pattern run (with maxClicks)
+  runOrder: 'sequential', // 'sequential' | 'interleaved'
+  delayUnit: 's',         // Unit the delay inputs are displayed in
+  selectorValue: '',      // CSS selector or XPath typed by the user
+  patternFrame: null,     // { frameId, frameLabel } the selected pattern was found in
+  selectorFrame: null,    // { frameId, frameLabel } the picked element lives in
+  needsScan: false,       // Popup reopened mid-run and skipped the initial scan
+  progressPort: null,     // chrome.runtime Port streaming progress from the background
+  pendingImport: null,    // Validated import waiting for the user to confirm the preview
+  runHistory: [],         // Finished runs recorded by the background script
+  lastRunClicks: [],      // Audit trail of the run shown in the analytics panel
+  inputDebounce: null,
   automationStats: {
     startTime: null,
     clickedCount: 0,
@@ -19,19 +37,118 @@ const PopupState = {
 // ===========================================
 
 const elements = {
+  targetTab: null,
+  sessionsPanel: null,
+  sessionsList: null,
   scanStatus: null,
   buttonSelection: null,
+  targetType: null,
+  textTargetGroup: null,
+  selectorTargetGroup: null,
+  selectorInput: null,
+  selectorMatchCount: null,
+  pickElementBtn: null,
+  pickerScopeGroup: null,
+  pickerScope: null,
   buttonDropdown: null,
+  matchMode: null,
+  patternInput: null,
+  patternMatchCount: null,
+  normalizeLabelsCheckbox: null,
+  addToRunBtn: null,
+  runList: null,
+  runListItems: null,
+  runOrder: null,
+  patternProgress: null,
+  patternBreakdown: null,
+  excludedTargets: null,
   settingsSection: null,
+  delayStrategy: null,
+  delayUnit: null,
+  intervalLabel: null,
   intervalInput: null,
+  delayMinInput: null,
+  delayMaxInput: null,
+  delayJitterInput: null,
+  backoffFactorInput: null,
+  backoffMaxInput: null,
+  scrollWaitInput: null,
+  stopMaxClicks: null,
+  stopMaxDuration: null,
+  stopAtTime: null,
+  stopOnText: null,
+  stopOnSelector: null,
+  verifyMode: null,
+  verifySelector: null,
+  verifyTimeout: null,
+  verifyRetries: null,
+  discoveryEnabled: null,
+  discoveryContainer: null,
+  loadMoreSelector: null,
+  loadMoreText: null,
+  discoveryWait: null,
+  discoveryMaxEmpty: null,
+  paginationEnabled: null,
+  nextPageSelector: null,
+  nextPageText: null,
+  paginationWait: null,
+  paginationMaxPages: null,
+  itemContainerSelector: null,
+  excludeKeywords: null,
+  excludeRegex: null,
+  excludeInsideSelector: null,
+  recipePanel: null,
+  recipeList: null,
+  recipeName: null,
+  recipeScope: null,
+  saveRecipeBtn: null,
+  recipeStatus: null,
+  scheduleType: null,
+  scheduleTime: null,
+  scheduleHours: null,
+  scheduleDays: null,
+  scheduleTimeGroup: null,
+  scheduleHoursGroup: null,
+  scheduleDaysGroup: null,
+  scheduleList: null,
+  exportBtn: null,
+  importBtn: null,
+  importFile: null,
+  importPreview: null,
+  importSummary: null,
+  importChanges: null,
+  importApplyBtn: null,
+  importCancelBtn: null,
+  importStatus: null,
+  historyPanel: null,
+  historySite: null,
+  historyFrom: null,
+  historyTo: null,
+  historyTotals: null,
+  historyList: null,
+  historyCsvBtn: null,
+  historyJsonBtn: null,
+  historyItemsBtn: null,
+  clickedItems: null,
+  clickedItemsList: null,
+  exportClickedItemsBtn: null,
+  stopReason: null,
+  clickResultNote: null,
   autoScrollCheckbox: null,
+  previewBtn: null,
+  previewResult: null,
+  previewSummary: null,
+  previewSkipped: null,
   startBtn: null,
   stopBtn: null,
+  pauseBtn: null,
   progressBar: null,
   progressFill: null,
   statusText: null,
   analyticsPanel: null,
-  noButtonsMessage: null
+  noButtonsMessage: null,
+  lastClick: null,
+  shortcutsLink: null
 };
 
 // ===========================================
@@ -53,11 +170,24 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load saved settings
   await loadSettings();
   
-  // Start automatic scanning
-  await startButtonScan();
+  // Default to the active tab; other open tabs can be chosen from the tab dropdown
+  await loadTargetTabs();
+  
+  // Restore a running automation or scan the page
+  await initializeForTab();
+  
+  // Listen for progress, click and completion events from the background script
+  connectProgressChannel();
+  
+  // List automations running in every tab
+  await loadRunningSessions();
   
-  // Start polling for progress updates
-  startProgressPolling();
+  // Scheduled recipes with their next run
+  updateScheduleFieldVisibility();
+  await loadSchedules();
+  
+  // Show the current start/stop shortcut
+  await loadShortcutHint();
   
   console.log('Popup initialization complete');
 });
@@ -66,19 +196,118 @@ document.addEventListener('DOMContentLoaded', async () => {
  * Get references to all UI elements
  */
 function initializeElementReferences() {
+  elements.targetTab = document.getElementById('target-tab');
+  elements.sessionsPanel = document.getElementById('sessions-panel');
+  elements.sessionsList = document.getElementById('sessions-list');
   elements.scanStatus = document.getElementById('scan-status');
   elements.buttonSelection = document.getElementById('button-selection');
+  elements.targetType = document.getElementById('target-type');
+  elements.textTargetGroup = document.getElementById('text-target-group');
+  elements.selectorTargetGroup = document.getElementById('selector-target-group');
+  elements.selectorInput = document.getElementById('selector-input');
+  elements.selectorMatchCount = document.getElementById('selector-match-count');
+  elements.pickElementBtn = document.getElementById('pick-element-btn');
+  elements.pickerScopeGroup = document.getElementById('picker-scope-group');
+  elements.pickerScope = document.getElementById('picker-scope');
   elements.buttonDropdown = document.getElementById('button-dropdown');
+  elements.matchMode = document.getElementById('match-mode');
+  elements.patternInput = document.getElementById('pattern-input');
+  elements.patternMatchCount = document.getElementById('pattern-match-count');
+  elements.normalizeLabelsCheckbox = document.getElementById('normalize-labels');
+  elements.addToRunBtn = document.getElementById('add-to-run-btn');
+  elements.runList = document.getElementById('run-list');
+  elements.runListItems = document.getElementById('run-list-items');
+  elements.runOrder = document.getElementById('run-order');
+  elements.patternProgress = document.getElementById('pattern-progress');
+  elements.patternBreakdown = document.getElementById('pattern-breakdown');
+  elements.excludedTargets = document.getElementById('excluded-targets');
   elements.settingsSection = document.getElementById('settings-section');
+  elements.delayStrategy = document.getElementById('delay-strategy');
+  elements.delayUnit = document.getElementById('delay-unit');
+  elements.intervalLabel = document.getElementById('interval-label');
   elements.intervalInput = document.getElementById('interval-input');
+  elements.delayMinInput = document.getElementById('delay-min-input');
+  elements.delayMaxInput = document.getElementById('delay-max-input');
+  elements.delayJitterInput = document.getElementById('delay-jitter-input');
+  elements.backoffFactorInput = document.getElementById('backoff-factor-input');
+  elements.backoffMaxInput = document.getElementById('backoff-max-input');
+  elements.scrollWaitInput = document.getElementById('scroll-wait-input');
+  elements.stopMaxClicks = document.getElementById('stop-max-clicks');
+  elements.stopMaxDuration = document.getElementById('stop-max-duration');
+  elements.stopAtTime = document.getElementById('stop-at-time');
+  elements.stopOnText = document.getElementById('stop-on-text');
+  elements.stopOnSelector = document.getElementById('stop-on-selector');
+  elements.verifyMode = document.getElementById('verify-mode');
+  elements.verifySelector = document.getElementById('verify-selector');
+  elements.verifyTimeout = document.getElementById('verify-timeout');
+  elements.verifyRetries = document.getElementById('verify-retries');
+  elements.discoveryEnabled = document.getElementById('discovery-enabled');
+  elements.discoveryContainer = document.getElementById('discovery-container');
+  elements.loadMoreSelector = document.getElementById('load-more-selector');
+  elements.loadMoreText = document.getElementById('load-more-text');
+  elements.discoveryWait = document.getElementById('discovery-wait');
+  elements.discoveryMaxEmpty = document.getElementById('discovery-max-empty');
+  elements.paginationEnabled = document.getElementById('pagination-enabled');
+  elements.nextPageSelector = document.getElementById('next-page-selector');
+  elements.nextPageText = document.getElementById('next-page-text');
+  elements.paginationWait = document.getElementById('pagination-wait');
+  elements.paginationMaxPages = document.getElementById('pagination-max-pages');
+  elements.itemContainerSelector = document.getElementById('item-container-selector');
+  elements.excludeKeywords = document.getElementById('exclude-keywords');
+  elements.excludeRegex = document.getElementById('exclude-regex');
+  elements.excludeInsideSelector = document.getElementById('exclude-inside-selector');
+  elements.recipePanel = document.getElementById('recipe-panel');
+  elements.recipeList = document.getElementById('recipe-list');
+  elements.recipeName = document.getElementById('recipe-name');
+  elements.recipeScope = document.getElementById('recipe-scope');
+  elements.saveRecipeBtn = document.getElementById('save-recipe-btn');
+  elements.recipeStatus = document.getElementById('recipe-status');
+  elements.scheduleType = document.getElementById('schedule-type');
+  elements.scheduleTime = document.getElementById('schedule-time');
+  elements.scheduleHours = document.getElementById('schedule-hours');
+  elements.scheduleDays = document.getElementById('schedule-days');
+  elements.scheduleTimeGroup = document.getElementById('schedule-time-group');
+  elements.scheduleHoursGroup = document.getElementById('schedule-hours-group');
+  elements.scheduleDaysGroup = document.getElementById('schedule-days-group');
+  elements.scheduleList = document.getElementById('schedule-list');
+  elements.exportBtn = document.getElementById('export-btn');
+  elements.importBtn = document.getElementById('import-btn');
+  elements.importFile = document.getElementById('import-file');
+  elements.importPreview = document.getElementById('import-preview');
+  elements.importSummary = document.getElementById('import-summary');
+  elements.importChanges = document.getElementById('import-changes');
+  elements.importApplyBtn = document.getElementById('import-apply-btn');
+  elements.importCancelBtn = document.getElementById('import-cancel-btn');
+  elements.importStatus = document.getElementById('import-status');
+  elements.historyPanel = document.getElementById('history-panel');
+  elements.historySite = document.getElementById('history-site');
+  elements.historyFrom = document.getElementById('history-from');
+  elements.historyTo = document.getElementById('history-to');
+  elements.historyTotals = document.getElementById('history-totals');
+  elements.historyList = document.getElementById('history-list');
+  elements.historyCsvBtn = document.getElementById('history-csv-btn');
+  elements.historyJsonBtn = document.getElementById('history-json-btn');
+  elements.historyItemsBtn = document.getElementById('history-items-btn');
+  elements.clickedItems = document.getElementById('clicked-items');
+  elements.clickedItemsList = document.getElementById('clicked-items-list');
+  elements.exportClickedItemsBtn = document.getElementById('export-clicked-items-btn');
+  elements.stopReason = document.getElementById('stop-reason');
+  elements.clickResultNote = document.getElementById('click-result-note');
   elements.autoScrollCheckbox = document.getElementById('auto-scroll');
+  elements.previewBtn = document.getElementById('preview-btn');
+  elements.previewResult = document.getElementById('preview-result');
+  elements.previewSummary = document.getElementById('preview-summary');
+  elements.previewSkipped = document.getElementById('preview-skipped');
   elements.startBtn = document.getElementById('start-btn');
   elements.stopBtn = document.getElementById('stop-btn');
+  elements.pauseBtn = document.getElementById('pause-btn');
   elements.progressBar = document.getElementById('progress-bar');
   elements.progressFill = document.getElementById('progress-fill');
   elements.statusText = document.getElementById('status-text');
   elements.analyticsPanel = document.getElementById('analytics-panel');
   elements.noButtonsMessage = document.getElementById('no-buttons');
+  elements.lastClick = document.getElementById('last-click');
+  elements.shortcutsLink = document.getElementById('shortcuts-link');
   
   console.log('UI element references initialized');
 }
@@ -87,11 +316,64 @@ function initializeElementReferences() {
  * Set up all event listeners
  */
 function setupEventListeners() {
+  // Switch the tab the popup controls
+  if (elements.targetTab) {
+    elements.targetTab.addEventListener('change', handleTargetTabChange);
+  }
+  
+  // Targeting mode change (text / CSS / XPath)
+  if (elements.targetType) {
+    elements.targetType.addEventListener('change', handleTargetTypeChange);
+  }
+  
+  // Selector typing - debounced so we don't re-query the page on every key
+  if (elements.selectorInput) {
+    elements.selectorInput.addEventListener('input', handleSelectorInput);
+  }
+  
+  // Point-and-click element picker
+  if (elements.pickElementBtn) {
+    elements.pickElementBtn.addEventListener('click', handlePickElement);
+  }
+  
+  if (elements.pickerScope) {
+    elements.pickerScope.addEventListener('change', handlePickerScopeChange);
+  }
+  
   // Dropdown selection change
   if (elements.buttonDropdown) {
     elements.buttonDropdown.addEventListener('change', handlePatternSelection);
   }
   
+  // Text matching options
+  if (elements.matchMode) {
+    elements.matchMode.addEventListener('change', handleMatchModeChange);
+  }
+  
+  if (elements.patternInput) {
+    elements.patternInput.addEventListener('input', handlePatternInput);
+  }
+  
+  if (elements.normalizeLabelsCheckbox) {
+    elements.normalizeLabelsCheckbox.addEventListener('change', handleNormalizeLabelsChange);
+  }
+  
+  // Multi-pattern run list
+  if (elements.addToRunBtn) {
+    elements.addToRunBtn.addEventListener('click', handleAddToRun);
+  }
+  
+  if (elements.runOrder) {
+    elements.runOrder.addEventListener('change', () => {
+      PopupState.runOrder = elements.runOrder.value;
+    });
+  }
+  
+  // Dry run of the current targets
+  if (elements.previewBtn) {
+    elements.previewBtn.addEventListener('click', handlePreviewAutomation);
+  }
+  
   // Start button click
   if (elements.startBtn) {
     elements.startBtn.addEventListener('click', handleStartAutomation);
@@ -102,15 +384,139 @@ function setupEventListeners() {
     elements.stopBtn.addEventListener('click', handleStopAutomation);
   }
   
+  // Pause / resume button click
+  if (elements.pauseBtn) {
+    elements.pauseBtn.addEventListener('click', handlePauseAutomation);
+  }
+  
   // Settings changes
-  if (elements.intervalInput) {
-    elements.intervalInput.addEventListener('change', saveSettings);
+  if (elements.delayStrategy) {
+    elements.delayStrategy.addEventListener('change', () => {
+      updateDelayFieldVisibility();
+      handleDelaySettingsChange();
+    });
+  }
+  
+  if (elements.delayUnit) {
+    elements.delayUnit.addEventListener('change', handleDelayUnitChange);
+  }
+  
+  // Delay edits also apply to the run in the shown tab
+  [...Object.keys(DELAY_INPUT_KEYS), 'backoffFactorInput'].forEach(key => {
+    if (elements[key]) {
+      elements[key].addEventListener('change', handleDelaySettingsChange);
+    }
+  });
+  
+  [
+    'stopMaxClicks',
+    'stopMaxDuration',
+    'stopAtTime',
+    'stopOnText',
+    'stopOnSelector',
+    'verifySelector',
+    'verifyTimeout',
+    'verifyRetries',
+    'discoveryEnabled',
+    'discoveryContainer',
+    'loadMoreSelector',
+    'loadMoreText',
+    'discoveryWait',
+    'discoveryMaxEmpty',
+    'paginationEnabled',
+    'nextPageSelector',
+    'nextPageText',
+    'paginationWait',
+    'paginationMaxPages',
+    'itemContainerSelector'
+  ].forEach(key => {
+    if (elements[key]) {
+      elements[key].addEventListener('change', saveSettings);
+    }
+  });
+  
+  // Exclusion rules change which matches are highlighted as excluded
+  ['excludeKeywords', 'excludeRegex', 'excludeInsideSelector'].forEach(key => {
+    if (elements[key]) {
+      elements[key].addEventListener('change', () => {
+        saveSettings();
+        if (!PopupState.isAutomationRunning) {
+          highlightRunTargets();
+        }
+      });
+    }
+  });
+  
+  if (elements.verifyMode) {
+    elements.verifyMode.addEventListener('change', () => {
+      updateVerifyFieldVisibility();
+      saveSettings();
+    });
   }
   
   if (elements.autoScrollCheckbox) {
     elements.autoScrollCheckbox.addEventListener('change', saveSettings);
   }
   
+  if (elements.saveRecipeBtn) {
+    elements.saveRecipeBtn.addEventListener('click', handleSaveRecipe);
+  }
+  
+  if (elements.scheduleType) {
+    elements.scheduleType.addEventListener('change', updateScheduleFieldVisibility);
+  }
+  
+  // Settings and recipes as a JSON file
+  if (elements.exportBtn) {
+    elements.exportBtn.addEventListener('click', handleExport);
+  }
+  
+  if (elements.importBtn && elements.importFile) {
+    elements.importBtn.addEventListener('click', () => elements.importFile.click());
+    elements.importFile.addEventListener('change', handleImportFile);
+  }
+  
+  if (elements.importApplyBtn) {
+    elements.importApplyBtn.addEventListener('click', handleImportApply);
+  }
+  
+  if (elements.importCancelBtn) {
+    elements.importCancelBtn.addEventListener('click', clearImportPreview);
+  }
+  
+  // Run history is read from storage when its panel is opened
+  if (elements.historyPanel) {
+    elements.historyPanel.addEventListener('toggle', () => {
+      if (elements.historyPanel.open) loadRunHistory();
+    });
+  }
+  
+  [elements.historySite, elements.historyFrom, elements.historyTo].forEach(input => {
+    if (input) input.addEventListener('change', renderRunHistory);
+  });
+  
+  if (elements.historyCsvBtn) {
+    elements.historyCsvBtn.addEventListener('click', () => exportRunHistory('csv'));
+  }
+  
+  if (elements.historyJsonBtn) {
+    elements.historyJsonBtn.addEventListener('click', () => exportRunHistory('json'));
+  }
+  
+  if (elements.historyItemsBtn) {
+    elements.historyItemsBtn.addEventListener('click', exportHistoryClickedItems);
+  }
+  
+  if (elements.exportClickedItemsBtn) {
+    elements.exportClickedItemsBtn.addEventListener('click', () => {
+      exportClickedItems(PopupState.lastRunClicks, `auto-click-items-${new Date().toISOString().slice(0, 10)}.csv`);
+    });
+  }
+  
+  if (elements.shortcutsLink) {
+    elements.shortcutsLink.addEventListener('click', handleShortcutsLinkClick);
+  }
+  
   console.log('Event listeners set up');
 }
 
@@ -130,7 +536,8 @@ async function startButtonScan() {
   try {
     // Send scan request to content script
     const response = await sendMessageToContentScript({
-      action: 'scanButtons'
+      action: 'scanButtons',
+      normalizeLabels: PopupState.normalizeLabels
     });
     
     if (response.success) {
@@ -140,7 +547,11 @@ async function startButtonScan() {
         console.log(`Found ${response.patterns.length} button patterns`);
         
         // Update UI with results
-        updateScanStatus('completed', `Found ${getTotalButtonCount(response.patterns)} buttons`);
+        updateScanStatus(
+          'completed', 
+          `Found ${getTotalButtonCount(response.patterns)} buttons`, 
+          `${response.patterns.length} different types detected`
+        );
         populateButtonDropdown(response.patterns);
         showButtonSelection();
         showSettings();
@@ -149,6 +560,10 @@ async function startButtonScan() {
         console.log('No button patterns found');
         updateScanStatus('completed', 'No repetitive buttons found');
         showNoButtonsMessage();
+        
+        // Selector targeting still works when no text patterns were detected
+        showButtonSelection();
+        showSettings();
       }
       
     } else {
@@ -179,8 +594,9 @@ function getTotalButtonCount(patterns) {
  * Update the scan status display
  * @param {string} status - Status type (scanning/completed/error)
  * @param {string} message - Status message
+ * @param {string} detail - Optional second line (e.g. number of patterns)
  */
-function updateScanStatus(status, message) {
+function updateScanStatus(status, message, detail = '') {
   if (!elements.scanStatus) return;
   
   // Update CSS class
@@ -193,7 +609,7 @@ function updateScanStatus(status, message) {
   
   elements.scanStatus.innerHTML = `
     <div><strong>${icon} ${message}</strong></div>
-    ${status === 'completed' ? '<div style="font-size: 12px; margin-top: 4px;">5 different types detected</div>' : ''}
+    ${detail ? `<div style="font-size: 12px; margin-top: 4px;">${detail}</div>` : ''}
   `;
 }
 
@@ -212,6 +628,17 @@ function populateButtonDropdown(patterns) {
     const option = document.createElement('option');
     option.value = pattern.text;
     option.textContent = `${getPatternIcon(pattern.text)} ${pattern.text} (${pattern.count})`;
+    if (typeof pattern.frameId === 'number') {
+      option.dataset.frameId = pattern.frameId;
+      option.dataset.frameLabel = pattern.frameLabel;
+      // Patterns from embedded frames show where they came from
+      if (pattern.frameId !== 0) {
+        option.textContent += ` — ${pattern.frameLabel}`;
+      }
+    }
+    if (pattern.variants && pattern.variants.length > 1) {
+      option.title = pattern.variants.join('\n');
+    }
     elements.buttonDropdown.appendChild(option);
   });
   
@@ -338,353 +765,3186 @@ function hideOtherSections() {
 // ===========================================
 
 /**
- * Handle pattern selection from dropdown
+ * Get the target currently described by the popup controls
+ * @returns {Object|null} Target object ({ type, value }) or null if incomplete
  */
-async function handlePatternSelection() {
-  const selectedValue = elements.buttonDropdown.value;
-  console.log('Pattern selected:', selectedValue);
-  
-  PopupState.selectedPattern = selectedValue;
-  
-  // Enable/disable start button based on selection
-  if (elements.startBtn) {
-    elements.startBtn.disabled = !selectedValue;
+function getCurrentTarget() {
+  if (PopupState.targetType === 'text') {
+    return PopupState.selectedPattern ? 
+      withTargetFrame({ type: 'text', value: PopupState.selectedPattern, matchMode: PopupState.matchMode }, PopupState.patternFrame) : null;
   }
   
-  // Highlight buttons on page if pattern is selected
-  if (selectedValue) {
-    try {
-      await sendMessageToContentScript({
-        action: 'highlightButtons',
-        pattern: selectedValue
-      });
-    } catch (error) {
-      console.error('Error highlighting buttons:', error);
-    }
-  }
+  return PopupState.selectorValue ? 
+    withTargetFrame({ type: PopupState.targetType, value: PopupState.selectorValue }, PopupState.selectorFrame) : null;
 }
 
 /**
- * Handle start automation button click
+ * Tie a target to the frame it was found in, so the run is routed there.
+ * Targets without a frame are matched in every frame.
+ * @param {Object} target - Target object
+ * @param {Object|null} frame - { frameId, frameLabel } or null
+ * @returns {Object} The target (with frameId/frameLabel if a frame is known)
  */
-async function handleStartAutomation() {
-  if (!PopupState.selectedPattern) {
-    console.error('No pattern selected');
-    return;
+function withTargetFrame(target, frame) {
+  if (!frame || typeof frame.frameId !== 'number') return target;
+  return { ...target, frameId: frame.frameId, frameLabel: frame.frameLabel };
+}
+
+/**
+ * Get the targets the next run will click: the run list if one was built,
+ * otherwise just the current target
+ * @returns {Array} Array of target objects
+ */
+function getRunTargets() {
+  if (PopupState.runTargets.length > 0) {
+    return PopupState.runTargets;
   }
   
-  console.log('Starting automation...');
-  
-  // Get settings
-  const interval = parseInt(elements.intervalInput.value) || 20;
-  const autoScroll = elements.autoScrollCheckbox.checked;
+  const target = getCurrentTarget();
+  return target ? [target] : [];
+}
+
+/**
+ * Enable the start button only when a complete target is selected
+ */
+function updateStartButtonState() {
+  if (PopupState.isAutomationRunning) return;
   
-  console.log('Automation settings:', { 
-    pattern: PopupState.selectedPattern, 
-    interval: interval, 
-    autoScroll: autoScroll 
+  if (elements.startBtn) {
+    elements.startBtn.disabled = getRunTargets().length === 0;
+  }
+  if (elements.previewBtn) {
+    elements.previewBtn.disabled = getRunTargets().length === 0;
+  }
+  if (elements.addToRunBtn) {
+    elements.addToRunBtn.disabled = !getCurrentTarget();
+  }
+}
+
+/**
+ * Enable or disable all targeting controls (while automation runs)
+ * @param {boolean} disabled - Whether controls should be disabled
+ */
+function setTargetControlsDisabled(disabled) {
+  [
+    elements.buttonDropdown,
+    elements.targetType,
+    elements.selectorInput,
+    elements.pickElementBtn,
+    elements.pickerScope,
+    elements.matchMode,
+    elements.patternInput,
+    elements.normalizeLabelsCheckbox,
+    elements.addToRunBtn,
+    elements.runOrder,
+    elements.autoScrollCheckbox,
+    elements.previewBtn
+  ].forEach(control => {
+    if (control) control.disabled = disabled;
   });
   
-  // Update UI state
-  PopupState.isAutomationRunning = true;
-  PopupState.automationStats.startTime = Date.now();
-  PopupState.automationStats.clickedCount = 0;
-  
-  // Update button states
-  elements.startBtn.disabled = true;
-  elements.stopBtn.disabled = false;
-  elements.buttonDropdown.disabled = true;
-  elements.autoScrollCheckbox.disabled = true;
+  if (elements.runListItems) {
+    elements.runListItems.querySelectorAll('input, button').forEach(control => {
+      control.disabled = disabled;
+    });
+  }
   
-  // Hide analytics from previous session
-  if (elements.analyticsPanel) {
-    elements.analyticsPanel.classList.remove('show');
+  if (elements.recipeList) {
+    elements.recipeList.querySelectorAll('button').forEach(control => {
+      control.disabled = disabled;
+    });
   }
+}
+
+/**
+ * Get a short label for a target, matching how the content script describes it
+ * @param {Object} target - Target object
+ * @returns {string} Target label
+ */
+function describeTarget(target) {
+  // Targets from embedded frames say which frame they run in
+  const frameSuffix = target.frameId ? ` — ${target.frameLabel}` : '';
   
-  // Show progress bar
-  if (elements.progressBar) {
-    elements.progressBar.classList.add('show');
+  if (target.type === 'css') return `CSS: ${target.value}${frameSuffix}`;
+  if (target.type === 'xpath') return `XPath: ${target.value}${frameSuffix}`;
+  if (target.matchMode === 'regex') return `/${target.value}/i${frameSuffix}`;
+  if (target.matchMode && target.matchMode !== 'exact') {
+    return `${target.value} (${target.matchMode})${frameSuffix}`;
   }
+  return `${target.value}${frameSuffix}`;
+}
+
+/**
+ * Add the current target to the multi-pattern run list
+ */
+async function handleAddToRun() {
+  const target = getCurrentTarget();
+  if (!target) return;
   
-  updateStatusText('Starting automation...');
+  const isDuplicate = PopupState.runTargets.some(existing => 
+    describeTarget(existing) === describeTarget(target)
+  );
   
-  try {
-    // Send start command to content script
-    console.log('Sending start automation message to content script...');
-    const response = await sendMessageToContentScript({
-      action: 'startAutomation',
-      pattern: PopupState.selectedPattern,
-      interval: interval,
-      autoScroll: autoScroll
-    });
-    
-    console.log('Start automation response:', response);
-    
-    if (response.success) {
-      console.log('Automation started successfully');
-      PopupState.automationStats.totalButtons = response.totalButtons;
-      updateStatusText(`Clicking buttons... (0 of ${response.totalButtons})`);
-      
-      // Force immediate progress check
-      setTimeout(() => {
-        forceProgressCheck();
-      }, 500);
-      
-    } else {
-      console.error('Failed to start automation:', response.error);
-      handleStopAutomation();
-      updateStatusText('Failed to start automation');
-    }
-    
-  } catch (error) {
-    console.error('Error starting automation:', error);
-    handleStopAutomation();
-    updateStatusText('Error starting automation');
+  if (!isDuplicate) {
+    PopupState.runTargets.push({ ...target, maxClicks: null });
+    console.log('Added to run list:', target);
   }
+  
+  renderRunList();
+  await highlightRunTargets();
 }
 
 /**
- * Force an immediate progress check (called by buttons or user actions)
- * This function was missing and causing the ReferenceError
+ * Remove a target from the run list
+ * @param {number} index - Index in the run list
  */
-async function forceProgressCheck() {
-  console.log('=== POPUP: Force progress check triggered ===');
+async function removeRunTarget(index) {
+  PopupState.runTargets.splice(index, 1);
   
-  try {
-    // Immediately check for progress updates
-    await checkForProgressUpdates();
-    console.log('Force progress check completed');
-  } catch (error) {
-    console.error('Error in force progress check:', error);
-  }
+  renderRunList();
+  await highlightRunTargets();
 }
 
 /**
- * Handle stop automation button click
+ * Render the run list with per-pattern click limits
  */
-async function handleStopAutomation() {
-  console.log('Stopping automation...');
+function renderRunList() {
+  if (!elements.runList || !elements.runListItems) return;
   
-  PopupState.isAutomationRunning = false;
+  elements.runListItems.innerHTML = '';
   
-  // Update button states
-  elements.startBtn.disabled = false;
-  elements.stopBtn.disabled = true;
-  elements.buttonDropdown.disabled = false;
-  elements.autoScrollCheckbox.disabled = false;
+  PopupState.runTargets.forEach((target, index) => {
+    const item = document.createElement('div');
+    item.className = 'run-list-item';
+    
+    const label = document.createElement('span');
+    label.className = 'run-label';
+    label.textContent = `${index + 1}. ${describeTarget(target)}`;
+    label.title = describeTarget(target);
+    
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.min = '1';
+    limitInput.placeholder = 'Max ∞';
+    limitInput.title = 'Maximum clicks for this pattern (empty = no limit)';
+    limitInput.value = target.maxClicks || '';
+    limitInput.addEventListener('change', () => {
+      const maxClicks = parseInt(limitInput.value, 10);
+      target.maxClicks = maxClicks > 0 ? maxClicks : null;
+    });
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'remove-btn';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove from run';
+    removeButton.addEventListener('click', () => removeRunTarget(index));
+    
+    item.append(label, limitInput, removeButton);
+    elements.runListItems.appendChild(item);
+  });
   
-  // Hide progress bar
-  if (elements.progressBar) {
-    elements.progressBar.classList.remove('show');
+  elements.runList.style.display = PopupState.runTargets.length > 0 ? 'block' : 'none';
+  updateStartButtonState();
+}
+
+/**
+ * Highlight every target in the run list (or the current target if the list is empty)
+ */
+async function highlightRunTargets() {
+  if (PopupState.runTargets.length === 0) {
+    await highlightCurrentTarget();
+    return;
   }
   
-  updateStatusText('');
-  
   try {
-    // Send stop command to content script
     await sendMessageToContentScript({
-      action: 'stopAutomation'
+      action: 'highlightButtons',
+      targets: PopupState.runTargets,
+      itemContext: getItemContextSettings(),
+      exclusions: getExclusionSettings()
     });
-    
-    console.log('Automation stopped successfully');
-    
   } catch (error) {
-    console.error('Error stopping automation:', error);
+    console.error('Error highlighting run targets:', error);
   }
 }
 
-// ===========================================
-// PROGRESS TRACKING
-// ===========================================
+/**
+ * Handle switching between text, CSS selector and XPath targeting
+ */
+async function handleTargetTypeChange() {
+  PopupState.targetType = elements.targetType.value;
+  console.log('Target type selected:', PopupState.targetType);
+  
+  updateTargetGroups();
+  updateStartButtonState();
+  await highlightCurrentTarget();
+}
 
 /**
- * Start polling for progress updates
+ * Show the inputs that belong to the current targeting mode
  */
-function startProgressPolling() {
-  // Poll for progress updates every 2 seconds
-  setInterval(async () => {
-    if (PopupState.isAutomationRunning) {
-      await checkForProgressUpdates();
-    }
-  }, 2000);
+function updateTargetGroups() {
+  const isTextMode = PopupState.targetType === 'text';
+  
+  if (elements.textTargetGroup) {
+    elements.textTargetGroup.style.display = isTextMode ? 'block' : 'none';
+  }
+  if (elements.selectorTargetGroup) {
+    elements.selectorTargetGroup.style.display = isTextMode ? 'none' : 'block';
+  }
+  if (elements.selectorInput) {
+    elements.selectorInput.placeholder = PopupState.targetType === 'xpath' ? 
+      "e.g. //button[contains(@class, 'clip')]" : 'e.g. button.clip-coupon';
+  }
+}
+
+/**
+ * Handle typing in the selector input (debounced)
+ */
+function handleSelectorInput() {
+  clearTimeout(PopupState.inputDebounce);
+  
+  PopupState.inputDebounce = setTimeout(async () => {
+    PopupState.selectorValue = elements.selectorInput.value.trim();
+    PopupState.selectorFrame = null; // Typed selectors are matched in every frame
+    updateStartButtonState();
+    await highlightCurrentTarget();
+  }, 300);
 }
 
 /**
- * Check for progress updates from background script
+ * Highlight elements matching the current target on the page
  */
-async function checkForProgressUpdates() {
+async function highlightCurrentTarget() {
+  const target = getCurrentTarget();
+  
   try {
-    const result = await chrome.storage.local.get(['lastProgressUpdate']);
-    
-    if (result.lastProgressUpdate) {
-      const update = result.lastProgressUpdate;
-      
-      // Only process new updates (within last 5 seconds)
-      if (Date.now() - update.timestamp < 5000) {
-        handleProgressUpdate(update);
-      }
-    }
+    const response = await sendMessageToContentScript({
+      action: 'highlightButtons',
+      target: target,
+      itemContext: getItemContextSettings(),
+      exclusions: getExclusionSettings()
+    });
     
+    updateMatchCount(response, target);
   } catch (error) {
-    console.error('Error checking progress updates:', error);
+    console.error('Error highlighting buttons:', error);
   }
 }
 
 /**
- * Handle progress update from content script
- * @param {Object} update - Progress update data
+ * Show how many elements the current pattern or selector matches (or why it failed)
+ * @param {Object} response - Response from the highlightButtons message
+ * @param {Object|null} target - Target that was highlighted
  */
-function handleProgressUpdate(update) {
-  if (update.action === 'progressUpdate') {
-    PopupState.automationStats.clickedCount = update.clickedCount;
-    PopupState.automationStats.totalButtons = update.totalButtons;
-    
-    // Update progress bar
-    const progress = (update.clickedCount / update.totalButtons) * 100;
-    if (elements.progressFill) {
-      elements.progressFill.style.width = `${progress}%`;
-    }
-    
-    // Update status text
-    updateStatusText(`${update.clickedCount} of ${update.totalButtons} clicked...`);
-    
-  } else if (update.action === 'automationComplete') {
-    // Automation completed
-    handleAutomationComplete(update.stats);
+function updateMatchCount(response, target) {
+  const countElement = PopupState.targetType === 'text' ? 
+    elements.patternMatchCount : elements.selectorMatchCount;
+  if (!countElement) return;
+  
+  if (!target) {
+    countElement.textContent = '';
+    countElement.classList.remove('error');
+    return;
+  }
+  
+  if (response.success) {
+    const count = response.highlightedCount;
+    const excluded = response.excludedCount ? ` (${response.excludedCount} excluded)` : '';
+    countElement.textContent = `${count} matching element${count === 1 ? '' : 's'}${excluded}${formatFrameCounts(response.frames)}`;
+    countElement.classList.remove('error');
+  } else {
+    countElement.textContent = response.error || 'Pattern failed';
+    countElement.classList.add('error');
   }
 }
 
 /**
- * Handle automation completion
- * @param {Object} stats - Final automation statistics
+ * Describe how matches are spread over frames, when any are in an embedded frame
+ * @param {Array} frames - Array of { frameId, frameLabel, count }
+ * @returns {string} e.g. " (Main page 3, widget.example.com 2)" or empty string
  */
-function handleAutomationComplete(stats) {
-  console.log('Automation completed:', stats);
+function formatFrameCounts(frames) {
+  if (!frames || !frames.some(frame => frame.frameId !== 0)) return '';
+  
+  return ` (${frames.map(frame => `${frame.frameLabel} ${frame.count}`).join(', ')})`;
+}
+
+/**
+ * Handle typing in the pattern input (debounced)
+ */
+function handlePatternInput() {
+  clearTimeout(PopupState.inputDebounce);
+  
+  PopupState.inputDebounce = setTimeout(async () => {
+    PopupState.selectedPattern = elements.patternInput.value.trim();
+    PopupState.patternFrame = null; // Typed patterns are matched in every frame
+    updateStartButtonState();
+    await highlightCurrentTarget();
+  }, 300);
+}
+
+/**
+ * Handle changing how text patterns are matched
+ */
+async function handleMatchModeChange() {
+  PopupState.matchMode = elements.matchMode.value;
+  console.log('Match mode selected:', PopupState.matchMode);
+  
+  await saveSettings();
+  await highlightCurrentTarget();
+}
+
+/**
+ * Handle toggling label normalization - rescans so the dropdown regroups
+ */
+async function handleNormalizeLabelsChange() {
+  PopupState.normalizeLabels = elements.normalizeLabelsCheckbox.checked;
+  
+  await saveSettings();
+  await startButtonScan();
+}
+
+/**
+ * Start the on-page element picker. The popup closes so the page can be clicked;
+ * the picked result is restored by loadPickerResult() when the popup reopens.
+ */
+async function handlePickElement() {
+  console.log('Starting element picker...');
+  
+  try {
+    // The picker needs the page in front - bring a background target tab forward
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab || activeTab.id !== PopupState.tabId) {
+      await chrome.tabs.update(PopupState.tabId, { active: true });
+    }
+    
+    const response = await sendMessageToContentScript({
+      action: 'startPicker'
+    });
+    
+    if (response.success) {
+      window.close();
+    } else {
+      console.error('Failed to start picker:', response.error);
+      updateScanStatus('error', response.error || 'Failed to start element picker');
+    }
+  } catch (error) {
+    console.error('Error starting picker:', error);
+    updateScanStatus('error', 'Error starting element picker');
+  }
+}
+
+/**
+ * Load the result of the element picker if it belongs to the target tab
+ */
+async function loadPickerResult() {
+  try {
+    const result = await chrome.storage.local.get(['pickerResult']);
+    const pickerResult = result.pickerResult;
+    if (!pickerResult) return;
+    
+    // Results are single-use - they only make sense right after picking
+    await chrome.storage.local.remove('pickerResult');
+    
+    const isSameTab = PopupState.tabId === pickerResult.tabId;
+    const isRecent = Date.now() - pickerResult.timestamp < 10 * 60 * 1000;
+    
+    if (isSameTab && isRecent && pickerResult.options.length > 0) {
+      applyPickerResult(pickerResult);
+    }
+  } catch (error) {
+    console.error('Error loading picker result:', error);
+  }
+}
+
+/**
+ * Switch to CSS targeting using the selector options built for a picked element
+ * @param {Object} pickerResult - Picked element result from the content script
+ */
+function applyPickerResult(pickerResult) {
+  console.log('Applying picker result:', pickerResult);
+  
+  PopupState.targetType = 'css';
+  PopupState.selectorValue = pickerResult.defaultSelector || pickerResult.options[0].selector;
+  PopupState.selectorFrame = typeof pickerResult.frameId === 'number' ? 
+    { frameId: pickerResult.frameId, frameLabel: pickerResult.frameLabel } : null;
+  
+  elements.targetType.value = 'css';
+  elements.selectorInput.value = PopupState.selectorValue;
+  
+  // Offer each scope from narrowest to widest with its match count
+  elements.pickerScope.innerHTML = '';
+  pickerResult.options.forEach(option => {
+    const optionElement = document.createElement('option');
+    optionElement.value = option.selector;
+    optionElement.textContent = `${option.label} (${option.count})`;
+    optionElement.selected = option.selector === PopupState.selectorValue;
+    elements.pickerScope.appendChild(optionElement);
+  });
+  elements.pickerScopeGroup.style.display = 'block';
+  
+  const selectedOption = pickerResult.options.find(option => option.selector === PopupState.selectorValue);
+  updateMatchCount({ success: true, highlightedCount: selectedOption ? selectedOption.count : 0 }, getCurrentTarget());
+  
+  // The picker works without a text pattern, so make sure targeting controls are visible
+  if (elements.noButtonsMessage) {
+    elements.noButtonsMessage.style.display = 'none';
+  }
+  showButtonSelection();
+  showSettings();
+  updateTargetGroups();
+  updateStartButtonState();
+}
+
+/**
+ * Handle widening/narrowing the picked element's match scope
+ */
+async function handlePickerScopeChange() {
+  PopupState.selectorValue = elements.pickerScope.value;
+  elements.selectorInput.value = PopupState.selectorValue;
+  
+  updateStartButtonState();
+  await highlightCurrentTarget();
+}
+
+/**
+ * Handle pattern selection from dropdown
+ */
+async function handlePatternSelection() {
+  const selectedValue = elements.buttonDropdown.value;
+  console.log('Pattern selected:', selectedValue);
+  
+  PopupState.selectedPattern = selectedValue;
+  if (elements.patternInput) {
+    elements.patternInput.value = selectedValue;
+  }
+  
+  // Remember which frame the pattern came from so the run is sent there
+  const selectedOption = elements.buttonDropdown.selectedOptions[0];
+  PopupState.patternFrame = selectedOption && selectedOption.dataset.frameId !== undefined ? 
+    { frameId: Number(selectedOption.dataset.frameId), frameLabel: selectedOption.dataset.frameLabel } : null;
+  
+  // Grouped entries only match all their variants in "similar" mode
+  const pattern = PopupState.buttonPatterns.find(p => p.text === selectedValue);
+  if (pattern && pattern.matchMode === 'similar') {
+    setMatchMode('similar');
+  } else if (PopupState.matchMode === 'similar') {
+    setMatchMode('exact');
+  }
+  
+  // Enable/disable start button based on selection
+  updateStartButtonState();
+  
+  // Highlight buttons on page if pattern is selected
+  if (selectedValue) {
+    await highlightCurrentTarget();
+  }
+}
+
+/**
+ * Set the match mode in state and in the dropdown
+ * @param {string} matchMode - Match mode value
+ */
+function setMatchMode(matchMode) {
+  PopupState.matchMode = matchMode;
+  if (elements.matchMode) {
+    elements.matchMode.value = matchMode;
+  }
+}
+
+// What the preview says about targets the run would leave out
+const PREVIEW_SKIP_LABELS = {
+  'hidden': 'hidden or disabled',
+  'pattern-limit': 'pattern click limit reached first',
+  'max-clicks': 'max clicks reached first',
+  'excluded': 'excluded'
+};
+
+// Skipped targets listed individually (the rest are summed up)
+const MAX_PREVIEW_SKIPPED_ROWS = 20;
+
+/**
+ * Dry run: number the targets on the page in click order and report
+ * the count, estimated duration and skipped targets - nothing is clicked
+ */
+async function handlePreviewAutomation() {
+  const targets = getRunTargets();
+  if (targets.length === 0) return;
+  
+  elements.previewBtn.disabled = true;
+  try {
+    const response = await sendMessageToContentScript({
+      action: 'previewAutomation',
+      targets: targets,
+      runOrder: PopupState.runOrder,
+      delaySettings: getDelaySettings(),
+      stopConditions: getStopConditions(),
+      itemContext: getItemContextSettings(),
+      exclusions: getExclusionSettings()
+    });
+    
+    console.log('Preview response:', response);
+    renderPreviewResult(response);
+  } catch (error) {
+    console.error('Error previewing automation:', error);
+    renderPreviewResult({ success: false, error: 'Could not preview on this page' });
+  } finally {
+    updateStartButtonState();
+  }
+}
+
+/**
+ * Show the preview's count, estimated duration and skipped targets
+ * @param {Object} result - { success, totalButtons, etaMs, skipped } or { success: false, error }
+ */
+function renderPreviewResult(result) {
+  if (!elements.previewResult) return;
+  
+  elements.previewResult.style.display = 'block';
+  elements.previewResult.classList.toggle('error', !result.success);
+  elements.previewSkipped.innerHTML = '';
+  
+  if (!result.success) {
+    elements.previewSummary.textContent = result.error || 'Preview failed';
+    return;
+  }
+  
+  const formatMs = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  };
+  let summary = `${result.totalButtons} button${result.totalButtons === 1 ? '' : 's'} would be clicked, ` +
+    `taking about ${formatMs(result.etaMs)}`;
+  
+  const maxDurationMs = getStopConditions().maxDurationMs;
+  if (maxDurationMs && result.etaMs > maxDurationMs) {
+    summary += ` (max duration ends the run after ${formatMs(maxDurationMs)})`;
+  }
+  if (result.skipped.length > 0) {
+    summary += `; ${result.skipped.length} skipped:`;
+  }
+  elements.previewSummary.textContent = summary;
+  
+  result.skipped.slice(0, MAX_PREVIEW_SKIPPED_ROWS).forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'change-warning';
+    const reason = entry.reason === 'excluded' ? formatExclusion(entry.exclusion, entry.detail) : 
+      PREVIEW_SKIP_LABELS[entry.reason] || entry.reason;
+    item.textContent = `"${entry.label || entry.pattern}" — ${reason}`;
+    elements.previewSkipped.appendChild(item);
+  });
+  
+  if (result.skipped.length > MAX_PREVIEW_SKIPPED_ROWS) {
+    const more = document.createElement('li');
+    more.className = 'change-warning';
+    more.textContent = `…and ${result.skipped.length - MAX_PREVIEW_SKIPPED_ROWS} more`;
+    elements.previewSkipped.appendChild(more);
+  }
+}
+
+/**
+ * Handle start automation button click
+ */
+async function handleStartAutomation() {
+  const targets = getRunTargets();
+  if (targets.length === 0) {
+    console.error('No pattern selected');
+    return;
+  }
+  
+  console.log('Starting automation...');
+  
+  // Get settings
+  const delaySettings = getDelaySettings();
+  const stopConditions = getStopConditions();
+  const verification = getVerificationSettings();
+  const discovery = getDiscoverySettings();
+  const pagination = getPaginationSettings();
+  const itemContext = getItemContextSettings();
+  const exclusions = getExclusionSettings();
+  const autoScroll = elements.autoScrollCheckbox.checked;
+  
+  console.log('Automation settings:', { 
+    targets: targets, 
+    runOrder: PopupState.runOrder, 
+    delaySettings: delaySettings, 
+    stopConditions: stopConditions, 
+    verification: verification, 
+    discovery: discovery, 
+    pagination: pagination, 
+    itemContext: itemContext, 
+    exclusions: exclusions, 
+    autoScroll: autoScroll 
+  });
   
   // Update UI state
+  PopupState.isAutomationRunning = true;
+  PopupState.automationStats.startTime = Date.now();
+  PopupState.automationStats.clickedCount = 0;
+  
+  // Update button states
+  elements.startBtn.disabled = true;
+  elements.stopBtn.disabled = false;
+  elements.pauseBtn.disabled = false;
+  setPausedView(false);
+  setTargetControlsDisabled(true);
+  
+  // Hide analytics from previous session
+  if (elements.analyticsPanel) {
+    elements.analyticsPanel.classList.remove('show');
+  }
+  if (elements.previewResult) {
+    elements.previewResult.style.display = 'none';
+  }
+  
+  // Show progress bar
+  if (elements.progressBar) {
+    elements.progressBar.classList.add('show');
+  }
+  
+  updateStatusText('Starting automation...');
+  
+  try {
+    // Send start command to content script
+    console.log('Sending start automation message to content script...');
+    const response = await sendMessageToContentScript({
+      action: 'startAutomation',
+      targets: targets,
+      runOrder: PopupState.runOrder,
+      delaySettings: delaySettings,
+      stopConditions: stopConditions,
+      verification: verification,
+      discovery: discovery,
+      pagination: pagination,
+      itemContext: itemContext,
+      exclusions: exclusions,
+      autoScroll: autoScroll
+    });
+    
+    console.log('Start automation response:', response);
+    
+    if (response.success) {
+      console.log('Automation started successfully');
+      PopupState.automationStats.totalButtons = response.totalButtons;
+      updateStatusText(`Clicking buttons... (0 of ${response.totalButtons})`);
+      renderPatternProgress(response.patternProgress);
+      await loadRunningSessions();
+      
+    } else {
+      console.error('Failed to start automation:', response.error);
+      handleStopAutomation();
+      updateStatusText('Failed to start automation');
+    }
+    
+  } catch (error) {
+    console.error('Error starting automation:', error);
+    handleStopAutomation();
+    updateStatusText('Error starting automation');
+  }
+}
+
+/**
+ * Handle stop automation button click
+ */
+async function handleStopAutomation() {
+  console.log('Stopping automation...');
+  
   PopupState.isAutomationRunning = false;
   
-  // Reset button states
-  handleStopAutomation();
+  // Update button states
+  elements.stopBtn.disabled = true;
+  elements.pauseBtn.disabled = true;
+  setPausedView(false);
+  setTargetControlsDisabled(false);
+  updateStartButtonState();
+  
+  // Hide progress bar
+  if (elements.progressBar) {
+    elements.progressBar.classList.remove('show');
+  }
+  
+  updateStatusText('');
+  renderPatternProgress([]);
+  renderLastClick(null);
+  
+  try {
+    // Send stop command to content script
+    await sendMessageToContentScript({
+      action: 'stopAutomation'
+    });
+    
+    console.log('Automation stopped successfully');
+    
+  } catch (error) {
+    console.error('Error stopping automation:', error);
+  }
+}
+
+/**
+ * Handle pause / resume button click. A paused run keeps its queue and
+ * counters and carries on from the next unclicked target.
+ */
+async function handlePauseAutomation() {
+  const pause = !PopupState.isPaused;
+  console.log(pause ? 'Pausing automation...' : 'Resuming automation...');
+  
+  elements.pauseBtn.disabled = true;
+  try {
+    const response = await sendMessageToContentScript({
+      action: pause ? 'pauseAutomation' : 'resumeAutomation'
+    });
+    
+    if (response.success) {
+      setPausedView(pause);
+    } else {
+      console.error('Failed to pause/resume automation:', response.error);
+      updateStatusText(response.error || `Could not ${pause ? 'pause' : 'resume'} automation`);
+    }
+  } catch (error) {
+    console.error('Error pausing/resuming automation:', error);
+  } finally {
+    elements.pauseBtn.disabled = !PopupState.isAutomationRunning;
+  }
+}
+
+/**
+ * Show the pause button as "Pause" or "Resume"
+ * @param {boolean} isPaused - Whether the run is paused
+ */
+function setPausedView(isPaused) {
+  PopupState.isPaused = isPaused;
+  
+  if (elements.pauseBtn) {
+    elements.pauseBtn.textContent = isPaused ? '▶ Resume' : '⏸ Pause';
+  }
+}
+
+// ===========================================
+// SESSION RESTORE
+// ===========================================
+
+/**
+ * Ask the background script whether an automation is running in the target tab
+ * @returns {Promise<Object|null>} Session from the background registry, or null
+ */
+async function loadActiveSession() {
+  try {
+    const response = await sendMessageToContentScript({ action: 'getSession' });
+    return response.success ? response.session : null;
+  } catch (error) {
+    console.error('Error loading active session:', error);
+    return null;
+  }
+}
+
+/**
+ * Show the running view for a session started before the popup was opened
+ * @param {Object} session - Session from the background registry
+ */
+function restoreRunningView(session) {
+  console.log('Restoring running session:', session);
+  
+  PopupState.isAutomationRunning = true;
+  PopupState.needsScan = true;
+  PopupState.automationStats.startTime = session.startTime;
+  PopupState.runTargets = session.targets.filter(target => target && typeof target === 'object');
+  if (session.settings.runOrder) {
+    PopupState.runOrder = session.settings.runOrder;
+    if (elements.runOrder) {
+      elements.runOrder.value = session.settings.runOrder;
+    }
+  }
+  
+  updateScanStatus('completed', 'Automation running');
+  showButtonSelection();
+  showSettings();
+  renderRunList();
+  
+  // Same control state as handleStartAutomation()
+  elements.startBtn.disabled = true;
+  elements.stopBtn.disabled = false;
+  elements.pauseBtn.disabled = false;
+  setTargetControlsDisabled(true);
+  
+  if (elements.progressBar) {
+    elements.progressBar.classList.add('show');
+  }
+  
+  handleProgressUpdate({
+    action: 'progressUpdate',
+    clickedCount: session.clickedCount,
+    totalButtons: session.totalButtons,
+    patternProgress: session.patternProgress,
+    pageNumber: session.pageNumber,
+    isPaused: session.isPaused
+  });
+}
+
+// ===========================================
+// TABS
+// ===========================================
+
+/**
+ * Fill the tab dropdown with the open web pages and select the active tab
+ */
+async function loadTargetTabs() {
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  PopupState.tabId = activeTab ? activeTab.id : null;
+  
+  if (!elements.targetTab) return;
+  
+  try {
+    const tabs = await chrome.tabs.query({});
+    const webTabs = tabs.filter(tab => 
+      tab.id === PopupState.tabId || /^https?:/.test(tab.url || '')
+    );
+    
+    elements.targetTab.innerHTML = '';
+    webTabs.forEach(tab => {
+      const option = document.createElement('option');
+      option.value = tab.id;
+      option.textContent = tab.id === PopupState.tabId ? 
+        `${tab.title || tab.url} (current)` : (tab.title || tab.url);
+      option.selected = tab.id === PopupState.tabId;
+      elements.targetTab.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading tabs:', error);
+  }
+}
+
+/**
+ * Handle choosing another tab to control
+ */
+async function handleTargetTabChange() {
+  await switchTargetTab(Number(elements.targetTab.value));
+}
+
+/**
+ * Point the popup at another tab: clear this tab's view, then restore or scan the new one
+ * @param {number} tabId - Tab to control
+ */
+async function switchTargetTab(tabId) {
+  if (tabId === PopupState.tabId) return;
+  
+  console.log('Switching target tab:', tabId);
+  PopupState.tabId = tabId;
+  if (elements.targetTab) {
+    elements.targetTab.value = tabId;
+  }
+  
+  resetTabView();
+  await initializeForTab();
+  subscribeProgressChannel();
+  renderSessionsList();
+}
+
+/**
+ * Restore the running automation of the target tab, or scan it for buttons
+ */
+async function initializeForTab() {
+  // Offer the recipes saved for this site above the scanned patterns
+  await loadSiteRecipes();
+  
+  // Reconnect to an automation already running in this tab instead of rescanning
+  const session = await loadActiveSession();
+  if (session) {
+    restoreRunningView(session);
+  } else {
+    // Start automatic scanning
+    await startButtonScan();
+    
+    // Restore an element picked on the page while the popup was closed
+    await loadPickerResult();
+  }
+}
+
+/**
+ * Clear everything tied to the previous target tab (targets, progress, results)
+ */
+function resetTabView() {
+  PopupState.isAutomationRunning = false;
+  PopupState.needsScan = false;
+  PopupState.buttonPatterns = [];
+  PopupState.selectedPattern = null;
+  PopupState.patternFrame = null;
+  PopupState.selectorValue = '';
+  PopupState.selectorFrame = null;
+  PopupState.runTargets = [];
+  
+  elements.stopBtn.disabled = true;
+  elements.pauseBtn.disabled = true;
+  setPausedView(false);
+  setTargetControlsDisabled(false);
+  
+  if (elements.patternInput) elements.patternInput.value = '';
+  if (elements.selectorInput) elements.selectorInput.value = '';
+  if (elements.pickerScopeGroup) elements.pickerScopeGroup.style.display = 'none';
+  if (elements.patternMatchCount) elements.patternMatchCount.textContent = '';
+  if (elements.selectorMatchCount) elements.selectorMatchCount.textContent = '';
+  if (elements.noButtonsMessage) elements.noButtonsMessage.style.display = 'none';
+  if (elements.analyticsPanel) elements.analyticsPanel.classList.remove('show');
+  if (elements.previewResult) elements.previewResult.style.display = 'none';
+  if (elements.progressBar) elements.progressBar.classList.remove('show');
+  if (elements.progressFill) elements.progressFill.style.width = '0%';
+  
+  updateStatusText('');
+  renderPatternProgress([]);
+  renderLastClick(null);
+  renderRunList();
+}
+
+/**
+ * Load the automations running in all tabs from the background registry
+ */
+async function loadRunningSessions() {
+  try {
+    const response = await sendMessageToContentScript({ action: 'getSessions' });
+    PopupState.sessions = response.success && response.sessions ? response.sessions : [];
+  } catch (error) {
+    console.error('Error loading running tabs:', error);
+    PopupState.sessions = [];
+  }
+  
+  renderSessionsList();
+}
+
+/**
+ * Render the running tabs list with progress and a stop button per tab
+ */
+function renderSessionsList() {
+  if (!elements.sessionsPanel || !elements.sessionsList) return;
+  
+  elements.sessionsList.innerHTML = '';
+  
+  PopupState.sessions.forEach(session => {
+    const item = document.createElement('div');
+    item.className = 'run-list-item session-item';
+    
+    const label = document.createElement('span');
+    label.className = 'run-label';
+    label.textContent = session.tabId === PopupState.tabId ? `▶ ${session.title}` : session.title;
+    label.title = `Show ${session.url}`;
+    label.addEventListener('click', () => switchTargetTab(session.tabId));
+    
+    const count = document.createElement('span');
+    count.className = 'session-count';
+    count.textContent = `${session.isPaused ? '⏸ ' : ''}${session.clickedCount || 0}/${session.totalButtons || 0}`;
+    
+    const stopButton = document.createElement('button');
+    stopButton.className = 'remove-btn';
+    stopButton.textContent = '⏹';
+    stopButton.title = 'Stop this tab';
+    stopButton.addEventListener('click', () => stopSession(session.tabId));
+    
+    item.append(label, count, stopButton);
+    elements.sessionsList.appendChild(item);
+  });
+  
+  elements.sessionsPanel.style.display = PopupState.sessions.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Stop the automation running in a tab from the running tabs list
+ * @param {number} tabId - Tab to stop
+ */
+async function stopSession(tabId) {
+  if (tabId === PopupState.tabId) {
+    await handleStopAutomation();
+    return;
+  }
+  
+  try {
+    await sendMessageToContentScript({ action: 'stopAutomation', tabId: tabId });
+  } catch (error) {
+    console.error('Error stopping tab:', error);
+  }
+}
+
+/**
+ * Keep the running tabs list in step with messages from any tab
+ * @param {Object} message - Port message tagged with its tabId
+ */
+function updateRunningSessions(message) {
+  const session = PopupState.sessions.find(existing => existing.tabId === message.tabId);
+  
+  if (message.action === 'automationComplete') {
+    if (!session) return;
+    PopupState.sessions = PopupState.sessions.filter(existing => existing !== session);
+    renderSessionsList();
+    
+  } else if (message.action === 'progressUpdate' && message.isRunning) {
+    if (!session) {
+      // A run started elsewhere (another popup, a shortcut) - fetch it with its tab title
+      loadRunningSessions();
+      return;
+    }
+    session.clickedCount = message.clickedCount;
+    session.totalButtons = message.totalButtons;
+    session.isPaused = Boolean(message.isPaused);
+    renderSessionsList();
+  }
+}
+
+// ===========================================
+// PROGRESS TRACKING
+// ===========================================
+
+/**
+ * Open the progress port to the background script. Updates from every tab
+ * arrive on it; the tab the popup shows is subscribed to separately.
+ */
+function connectProgressChannel() {
+  PopupState.progressPort = chrome.runtime.connect({ name: 'popup-progress' });
+  PopupState.progressPort.onMessage.addListener(handlePortMessage);
+  
+  PopupState.progressPort.onDisconnect.addListener(() => {
+    console.log('Progress channel disconnected, reconnecting...');
+    PopupState.progressPort = null;
+    // The service worker restarted - reconnect so updates keep flowing
+    setTimeout(connectProgressChannel, 1000);
+  });
+  
+  subscribeProgressChannel();
+}
+
+/**
+ * Tell the background which tab the popup shows. It replies with the latest
+ * progress of that tab's automation and any completion that happened while
+ * the popup was closed.
+ */
+function subscribeProgressChannel() {
+  if (!PopupState.progressPort) return;
+  
+  PopupState.progressPort.postMessage({ action: 'subscribe', tabId: PopupState.tabId });
+}
+
+/**
+ * Handle a message streamed over the progress port
+ * @param {Object} message - progressUpdate, clickEvent or automationComplete
+ */
+async function handlePortMessage(message) {
+  updateRunningSessions(message);
+  
+  // Messages from other tabs only feed the running tabs list
+  if (message.tabId !== undefined && message.tabId !== PopupState.tabId) return;
+  
+  switch (message.action) {
+    case 'progressUpdate':
+      if (!PopupState.isAutomationRunning) {
+        if (!message.isRunning) return;
+        
+        // Started while the popup was open but not from it (keyboard shortcut)
+        const session = await loadActiveSession();
+        if (session && !PopupState.isAutomationRunning) {
+          restoreRunningView(session);
+        }
+        return;
+      }
+      handleProgressUpdate(message);
+      break;
+      
+    case 'clickEvent':
+      renderLastClick(message.event);
+      break;
+      
+    case 'automationComplete':
+      handleAutomationComplete(message.stats);
+      break;
+      
+    default:
+      console.log('Unknown progress message:', message.action);
+  }
+}
+
+// Icons for each click result (see CLICK_RESULTS in content.js)
+const CLICK_RESULT_ICONS = {
+  'success': '✅',
+  'unverified': '✔️',
+  'no-effect': '⚠️',
+  'error': '❌'
+};
+
+/**
+ * Show the most recent click under the progress bar
+ * @param {Object} event - { label, result, attempts, clickNumber }
+ */
+function renderLastClick(event) {
+  if (!elements.lastClick) return;
+  
+  if (!event) {
+    elements.lastClick.textContent = '';
+    return;
+  }
+  
+  const icon = CLICK_RESULT_ICONS[event.result] || '•';
+  const retries = event.attempts > 1 ? ` after ${event.attempts} attempts` : '';
+  elements.lastClick.textContent = `${icon} #${event.clickNumber} "${event.label}" — ${event.result}${retries}`;
+}
+
+/**
+ * Handle progress update from content script
+ * @param {Object} update - Progress update data
+ */
+function handleProgressUpdate(update) {
+  if (update.action === 'progressUpdate') {
+    PopupState.automationStats.clickedCount = update.clickedCount;
+    PopupState.automationStats.totalButtons = update.totalButtons;
+    
+    // Update progress bar
+    const progress = (update.clickedCount / update.totalButtons) * 100;
+    if (elements.progressFill) {
+      elements.progressFill.style.width = `${progress}%`;
+    }
+    
+    // Update status text
+    const page = update.pageNumber > 1 ? ` (page ${update.pageNumber})` : '';
+    const excluded = update.excludedCount > 0 ? `, ${update.excludedCount} excluded` : '';
+    updateStatusText(update.isPaused ? 
+      `Paused — ${update.clickedCount} of ${update.totalButtons} clicked${excluded}${page}` : 
+      `${update.clickedCount} of ${update.totalButtons} clicked${excluded}${page}...`);
+    setPausedView(Boolean(update.isPaused));
+    renderPatternProgress(update.patternProgress);
+    
+  } else if (update.action === 'automationComplete') {
+    // Automation completed
+    handleAutomationComplete(update.stats);
+  }
+}
+
+/**
+ * Handle automation completion
+ * @param {Object} stats - Final automation statistics
+ */
+function handleAutomationComplete(stats) {
+  console.log('Automation completed:', stats);
+  
+  // Update UI state
+  PopupState.isAutomationRunning = false;
+  
+  // Reset button states
+  handleStopAutomation();
+  
+  // Hide status text
+  if (elements.statusText) {
+    elements.statusText.style.display = 'none';
+  }
+  
+  // Show analytics
+  showAnalytics(stats);
+  
+  // The background script has added this run to the history
+  if (elements.historyPanel && elements.historyPanel.open) {
+    loadRunHistory();
+  }
+  
+  // The popup was reopened mid-run, so the pattern list was never filled
+  if (PopupState.needsScan) {
+    PopupState.needsScan = false;
+    startButtonScan();
+  }
+}
+
+/**
+ * Show analytics panel with results
+ * @param {Object} stats - Automation statistics
+ */
+function showAnalytics(stats) {
+  if (!elements.analyticsPanel) return;
+  
+  // Calculate derived statistics
+  const minutes = Math.floor(stats.totalTime / 60);
+  const seconds = stats.totalTime % 60;
+  const timeString = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+  
+  const avgTime = stats.totalClicked > 0 ? 
+    (stats.totalTime / stats.totalClicked).toFixed(1) : 0;
+  
+  // Update analytics display
+  document.getElementById('buttons-clicked').textContent = stats.totalClicked;
+  document.getElementById('total-time').textContent = timeString;
+  document.getElementById('avg-time').textContent = `${avgTime}s`;
+  
+  // Show new buttons found (if any)
+  const newButtonsFound = stats.newButtonsFound || 0;
+  document.getElementById('new-discovered').textContent = newButtonsFound;
+  
+  // Update the label to be more descriptive
+  const newFoundLabel = document.querySelector('#new-discovered').nextElementSibling;
+  if (newFoundLabel) {
+    newFoundLabel.textContent = newButtonsFound > 0 ? 'New Found' : 'Extra Found';
+  }
+  
+  // Verified vs unverified clicks
+  document.getElementById('verified-clicks').textContent = stats.verifiedClicks || 0;
+  document.getElementById('unverified-clicks').textContent = stats.unverifiedClicks || 0;
+  if (elements.clickResultNote) {
+    elements.clickResultNote.textContent = formatClickResultNote(stats);
+  }
+  
+  // Why the run ended
+  if (elements.stopReason) {
+    elements.stopReason.textContent = formatStopReason(stats);
+  }
+  
+  // Per-pattern breakdown for multi-pattern runs
+  renderPatternBreakdown(stats.patternStats || []);
+  
+  // Targets the exclusion rules or Alt-clicks left out
+  renderExcludedTargets(stats.excludedTargets || []);
+  
+  // What was clicked, item by item
+  renderClickedItems(stats.clickResults || []);
+  
+  // Show the analytics panel
+  elements.analyticsPanel.classList.add('show');
+  
+  console.log('Analytics displayed:', {
+    clicked: stats.totalClicked,
+    time: timeString,
+    avgPerClick: `${avgTime}s`,
+    newFound: newButtonsFound,
+    verified: stats.verifiedClicks || 0,
+    unverified: stats.unverifiedClicks || 0,
+    failed: stats.failedClicks || 0,
+    excluded: (stats.excludedTargets || []).length,
+    originalButtons: stats.originalButtons || 'unknown'
+  });
+}
+
+/**
+ * Describe failed and retried clicks for the analytics panel
+ * @param {Object} stats - Automation statistics
+ * @returns {string} Note text (empty when every click went through first time)
+ */
+function formatClickResultNote(stats) {
+  const parts = [];
+  
+  if (stats.failedClicks > 0) {
+    parts.push(`${stats.failedClicks} click${stats.failedClicks === 1 ? '' : 's'} failed`);
+  }
+  if (stats.retriedClicks > 0) {
+    parts.push(`${stats.retriedClicks} retr${stats.retriedClicks === 1 ? 'y' : 'ies'}`);
+  }
+  if (stats.pagesVisited > 1) {
+    parts.push(`${stats.pagesVisited} pages`);
+  }
+  
+  return parts.join(' • ');
+}
+
+// Human readable descriptions of stats.stopReason
+const STOP_REASON_LABELS = {
+  'completed': 'All matching buttons clicked',
+  'pattern-limits': 'Every pattern reached its click limit',
+  'max-clicks': 'Stopped after max clicks',
+  'max-duration': 'Stopped after max duration',
+  'stop-time': 'Stopped at scheduled time',
+  'text-appeared': 'Stopped: text appeared on page',
+  'selector-appeared': 'Stopped: selector appeared on page',
+  'page-limit': 'Reached the maximum number of pages',
+  'next-page-failed': 'Stopped: could not continue on the next page',
+  'no-targets': 'No matching buttons found',
+  'user': 'Stopped by user',
+  'page-unload': 'Stopped: page was closed or reloaded',
+  'tab-closed': 'Stopped: tab was closed'
+};
+
+/**
+ * Describe why a run ended
+ * @param {Object} stats - Final automation statistics
+ * @returns {string} Stop reason text
+ */
+function formatStopReason(stats) {
+  const label = STOP_REASON_LABELS[stats.stopReason] || '';
+  return label && stats.stopDetail ? `${label} (${stats.stopDetail})` : label;
+}
+
+/**
+ * Format one pattern's progress, e.g. "3 / 10 (max 5)"
+ * @param {Object} patternStats - { clicked, total, maxClicks }
+ * @returns {string} Formatted progress
+ */
+function formatPatternCount(patternStats) {
+  const limit = patternStats.maxClicks ? ` (max ${patternStats.maxClicks})` : '';
+  return `${patternStats.clicked} / ${patternStats.total}${limit}`;
+}
+
+/**
+ * Render a list of "pattern — count" rows into a container
+ * @param {Element} container - Container element
+ * @param {Array} rows - Array of [label, value] pairs
+ */
+function renderPatternRows(container, rows) {
+  container.innerHTML = '';
+  
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('div');
+    const labelElement = document.createElement('span');
+    const valueElement = document.createElement('strong');
+    labelElement.textContent = label;
+    valueElement.textContent = value;
+    row.append(labelElement, valueElement);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Show live per-pattern progress below the status text (multi-pattern runs only)
+ * @param {Array} patternProgress - Per-pattern progress from the content script
+ */
+function renderPatternProgress(patternProgress) {
+  if (!elements.patternProgress) return;
+  
+  const rows = (patternProgress || []).length > 1 ? 
+    patternProgress.map(pattern => [pattern.pattern, formatPatternCount(pattern)]) : [];
+  renderPatternRows(elements.patternProgress, rows);
+}
+
+/**
+ * Show the per-pattern breakdown in the analytics panel
+ * @param {Array} patternStats - Per-pattern stats from the final statistics
+ */
+function renderPatternBreakdown(patternStats) {
+  if (!elements.patternBreakdown) return;
+  
+  const rows = patternStats.length > 1 ? 
+    patternStats.map(pattern => [pattern.pattern, `${formatPatternCount(pattern)} clicked`]) : [];
+  renderPatternRows(elements.patternBreakdown, rows);
+}
+
+// How excluded targets are described, by exclusion reason
+const EXCLUSION_REASON_LABELS = {
+  'manual': 'skipped with Alt-click',
+  'keyword': 'excluded by keyword',
+  'regex': 'excluded by pattern',
+  'selector': 'inside excluded element'
+};
+
+// Excluded targets listed individually (the rest are summed up)
+const MAX_EXCLUDED_ROWS = 20;
+
+/**
+ * Describe why a target was excluded, e.g. 'excluded by keyword "sponsored"'
+ * @param {string} reason - Exclusion reason from the content script
+ * @param {string} detail - Keyword, pattern or selector that matched
+ * @returns {string} Description
+ */
+function formatExclusion(reason, detail) {
+  const label = EXCLUSION_REASON_LABELS[reason] || 'excluded';
+  return detail ? `${label} "${detail}"` : label;
+}
+
+/**
+ * List the targets left out of the finished run
+ * @param {Array} excludedTargets - Array of { label, pattern, reason, detail }
+ */
+function renderExcludedTargets(excludedTargets) {
+  if (!elements.excludedTargets) return;
+  
+  const rows = excludedTargets.slice(0, MAX_EXCLUDED_ROWS)
+    .map(entry => [entry.label || entry.pattern, formatExclusion(entry.reason, entry.detail)]);
+  if (excludedTargets.length > MAX_EXCLUDED_ROWS) {
+    rows.push([`…and ${excludedTargets.length - MAX_EXCLUDED_ROWS} more`, '']);
+  }
+  if (rows.length > 0) {
+    rows.unshift([`${excludedTargets.length} excluded`, '']);
+  }
+  renderPatternRows(elements.excludedTargets, rows);
+}
+
+/**
+ * List the items clicked in the finished run
+ * @param {Array} clickResults - Per-click results from the final stats
+ */
+function renderClickedItems(clickResults) {
+  if (!elements.clickedItems) return;
+  
+  PopupState.lastRunClicks = clickResults.map(toAuditClick);
+  elements.clickedItems.style.display = clickResults.length > 0 ? 'block' : 'none';
+  renderItemList(elements.clickedItemsList, PopupState.lastRunClicks);
+}
+
+/**
+ * Update status text
+ * @param {string} text - Status text to display
+ */
+function updateStatusText(text) {
+  if (elements.statusText) {
+    elements.statusText.textContent = text;
+    elements.statusText.style.display = text ? 'block' : 'none';
+  }
+}
+
+// ===========================================
+// SETTINGS MANAGEMENT
+// ===========================================
+
+// Storage keys written by saveSettings() (and included in exports)
+const SETTINGS_KEYS = [
+  'delaySettings',
+  'delayUnit',
+  'stopConditions',
+  'verification',
+  'discovery',
+  'pagination',
+  'itemContext',
+  'exclusions',
+  'autoScroll',
+  'matchMode',
+  'normalizeLabels'
+];
+
+// Delay inputs and the delaySettings key each one edits (stored in milliseconds)
+const DELAY_INPUT_KEYS = {
+  intervalInput: 'intervalMs',
+  delayMinInput: 'minMs',
+  delayMaxInput: 'maxMs',
+  delayJitterInput: 'jitterMs',
+  backoffMaxInput: 'maxBackoffMs',
+  scrollWaitInput: 'scrollWaitMs'
+};
+
+// Milliseconds per display unit
+const DELAY_UNITS = {
+  ms: 1,
+  s: 1000,
+  min: 60000
+};
+
+// What the main interval input means for each strategy
+const INTERVAL_LABELS = {
+  fixed: 'Click Interval',
+  gaussian: 'Mean Delay',
+  backoff: 'Base Delay'
+};
+
+/**
+ * Read the delay inputs into a delaySettings object (values in milliseconds)
+ * @returns {Object} Delay settings
+ */
+function getDelaySettings() {
+  const unitMs = DELAY_UNITS[PopupState.delayUnit] || 1000;
+  const settings = {
+    strategy: elements.delayStrategy ? elements.delayStrategy.value : 'fixed',
+    backoffFactor: parseFloat(elements.backoffFactorInput && elements.backoffFactorInput.value) || 2
+  };
+  
+  Object.entries(DELAY_INPUT_KEYS).forEach(([elementKey, settingKey]) => {
+    const value = parseFloat(elements[elementKey] && elements[elementKey].value);
+    if (Number.isFinite(value) && value >= 0) {
+      settings[settingKey] = Math.round(value * unitMs);
+    }
+  });
+  
+  return settings;
+}
+
+/**
+ * Fill the delay inputs from a delaySettings object
+ * @param {Object} settings - Delay settings (values in milliseconds)
+ */
+function applyDelaySettings(settings) {
+  const unitMs = DELAY_UNITS[PopupState.delayUnit] || 1000;
+  
+  if (elements.delayStrategy && settings.strategy) {
+    elements.delayStrategy.value = settings.strategy;
+  }
+  if (elements.backoffFactorInput && settings.backoffFactor) {
+    elements.backoffFactorInput.value = settings.backoffFactor;
+  }
+  
+  Object.entries(DELAY_INPUT_KEYS).forEach(([elementKey, settingKey]) => {
+    if (elements[elementKey] && typeof settings[settingKey] === 'number') {
+      // Avoid float noise like 0.30000000000000004 when converting units
+      elements[elementKey].value = parseFloat((settings[settingKey] / unitMs).toFixed(3));
+    }
+  });
+  
+  updateDelayFieldVisibility();
+}
+
+/**
+ * Show only the delay inputs used by the selected strategy
+ */
+function updateDelayFieldVisibility() {
+  const strategy = elements.delayStrategy ? elements.delayStrategy.value : 'fixed';
+  
+  document.querySelectorAll('[data-strategies]').forEach(group => {
+    const strategies = group.dataset.strategies.split(' ');
+    group.style.display = strategies.includes(strategy) ? 'flex' : 'none';
+  });
+  
+  if (elements.intervalLabel) {
+    elements.intervalLabel.textContent = INTERVAL_LABELS[strategy] || 'Click Interval';
+  }
+}
+
+/**
+ * Read the stop condition inputs
+ * @returns {Object} Stop conditions (empty values omitted by the content script)
+ */
+function getStopConditions() {
+  const maxDurationMinutes = parseFloat(elements.stopMaxDuration && elements.stopMaxDuration.value);
+  
+  return {
+    maxClicks: parseInt(elements.stopMaxClicks && elements.stopMaxClicks.value, 10) || null,
+    maxDurationMs: maxDurationMinutes > 0 ? Math.round(maxDurationMinutes * 60000) : null,
+    stopAtTime: elements.stopAtTime ? elements.stopAtTime.value : '',
+    stopOnText: elements.stopOnText ? elements.stopOnText.value.trim() : '',
+    stopOnSelector: elements.stopOnSelector ? elements.stopOnSelector.value.trim() : ''
+  };
+}
+
+/**
+ * Fill the stop condition inputs
+ * @param {Object} conditions - Stop conditions
+ */
+function applyStopConditions(conditions) {
+  if (elements.stopMaxClicks) {
+    elements.stopMaxClicks.value = conditions.maxClicks || '';
+  }
+  if (elements.stopMaxDuration) {
+    elements.stopMaxDuration.value = conditions.maxDurationMs ? conditions.maxDurationMs / 60000 : '';
+  }
+  if (elements.stopAtTime) {
+    elements.stopAtTime.value = conditions.stopAtTime || '';
+  }
+  if (elements.stopOnText) {
+    elements.stopOnText.value = conditions.stopOnText || '';
+  }
+  if (elements.stopOnSelector) {
+    elements.stopOnSelector.value = conditions.stopOnSelector || '';
+  }
+}
+
+/**
+ * Read post-click verification settings from the inputs
+ * @returns {Object} Verification settings (timeout in ms)
+ */
+function getVerificationSettings() {
+  const timeoutSeconds = parseFloat(elements.verifyTimeout && elements.verifyTimeout.value);
+  const maxRetries = parseInt(elements.verifyRetries && elements.verifyRetries.value, 10);
+  
+  return {
+    mode: elements.verifyMode ? elements.verifyMode.value : 'none',
+    selector: elements.verifySelector ? elements.verifySelector.value.trim() : '',
+    timeoutMs: timeoutSeconds >= 0 ? Math.round(timeoutSeconds * 1000) : 3000,
+    maxRetries: maxRetries >= 0 ? maxRetries : 2
+  };
+}
+
+/**
+ * Fill the verification inputs
+ * @param {Object} verification - Verification settings
+ */
+function applyVerificationSettings(verification) {
+  if (elements.verifyMode && verification.mode) {
+    elements.verifyMode.value = verification.mode;
+  }
+  if (elements.verifySelector) {
+    elements.verifySelector.value = verification.selector || '';
+  }
+  if (elements.verifyTimeout && typeof verification.timeoutMs === 'number') {
+    elements.verifyTimeout.value = verification.timeoutMs / 1000;
+  }
+  if (elements.verifyRetries && typeof verification.maxRetries === 'number') {
+    elements.verifyRetries.value = verification.maxRetries;
+  }
+  
+  updateVerifyFieldVisibility();
+}
+
+/**
+ * Read infinite scroll / "Load more" settings from the inputs
+ * @returns {Object} Discovery settings (wait in ms)
+ */
+function getDiscoverySettings() {
+  const waitSeconds = parseFloat(elements.discoveryWait && elements.discoveryWait.value);
+  const maxEmptyRounds = parseInt(elements.discoveryMaxEmpty && elements.discoveryMaxEmpty.value, 10);
+  
+  return {
+    enabled: elements.discoveryEnabled ? elements.discoveryEnabled.checked : false,
+    scrollContainer: elements.discoveryContainer ? elements.discoveryContainer.value.trim() : '',
+    loadMoreSelector: elements.loadMoreSelector ? elements.loadMoreSelector.value.trim() : '',
+    loadMoreText: elements.loadMoreText ? elements.loadMoreText.value.trim() : '',
+    waitMs: waitSeconds >= 0 ? Math.round(waitSeconds * 1000) : 1500,
+    maxEmptyRounds: maxEmptyRounds >= 1 ? maxEmptyRounds : 3
+  };
+}
+
+/**
+ * Fill the discovery inputs
+ * @param {Object} discovery - Discovery settings
+ */
+function applyDiscoverySettings(discovery) {
+  if (elements.discoveryEnabled) {
+    elements.discoveryEnabled.checked = discovery.enabled === true;
+  }
+  if (elements.discoveryContainer) {
+    elements.discoveryContainer.value = discovery.scrollContainer || '';
+  }
+  if (elements.loadMoreSelector) {
+    elements.loadMoreSelector.value = discovery.loadMoreSelector || '';
+  }
+  if (elements.loadMoreText && typeof discovery.loadMoreText === 'string') {
+    elements.loadMoreText.value = discovery.loadMoreText;
+  }
+  if (elements.discoveryWait && typeof discovery.waitMs === 'number') {
+    elements.discoveryWait.value = discovery.waitMs / 1000;
+  }
+  if (elements.discoveryMaxEmpty && discovery.maxEmptyRounds) {
+    elements.discoveryMaxEmpty.value = discovery.maxEmptyRounds;
+  }
+}
+
+/**
+ * Read the "follow next page" settings from the inputs
+ * @returns {Object} { enabled, nextSelector, nextText, waitMs, maxPages }
+ */
+function getPaginationSettings() {
+  const waitSeconds = parseFloat(elements.paginationWait && elements.paginationWait.value);
+  const maxPages = parseInt(elements.paginationMaxPages && elements.paginationMaxPages.value, 10);
+  
+  return {
+    enabled: elements.paginationEnabled ? elements.paginationEnabled.checked : false,
+    nextSelector: elements.nextPageSelector ? elements.nextPageSelector.value.trim() : '',
+    nextText: elements.nextPageText ? elements.nextPageText.value.trim() : '',
+    waitMs: waitSeconds >= 0 ? Math.round(waitSeconds * 1000) : 2000,
+    maxPages: maxPages >= 1 ? maxPages : 10
+  };
+}
+
+/**
+ * Fill the "follow next page" inputs
+ * @param {Object} pagination - Pagination settings
+ */
+function applyPaginationSettings(pagination) {
+  if (elements.paginationEnabled) {
+    elements.paginationEnabled.checked = pagination.enabled === true;
+  }
+  if (elements.nextPageSelector) {
+    elements.nextPageSelector.value = pagination.nextSelector || '';
+  }
+  if (elements.nextPageText && typeof pagination.nextText === 'string') {
+    elements.nextPageText.value = pagination.nextText;
+  }
+  if (elements.paginationWait && typeof pagination.waitMs === 'number') {
+    elements.paginationWait.value = pagination.waitMs / 1000;
+  }
+  if (elements.paginationMaxPages && pagination.maxPages) {
+    elements.paginationMaxPages.value = pagination.maxPages;
+  }
+}
+
+/**
+ * Read the clicked item details settings from the inputs
+ * @returns {Object} { containerSelector }
+ */
+function getItemContextSettings() {
+  return {
+    containerSelector: elements.itemContainerSelector ? elements.itemContainerSelector.value.trim() : ''
+  };
+}
+
+/**
+ * Fill the clicked item details inputs
+ * @param {Object} itemContext - Item context settings
+ */
+function applyItemContextSettings(itemContext) {
+  if (elements.itemContainerSelector) {
+    elements.itemContainerSelector.value = itemContext.containerSelector || '';
+  }
+}
+
+/**
+ * Read the exclusion rules from the inputs
+ * @returns {Object} { keywords, regex, insideSelector }
+ */
+function getExclusionSettings() {
+  return {
+    keywords: elements.excludeKeywords ? elements.excludeKeywords.value.trim() : '',
+    regex: elements.excludeRegex ? elements.excludeRegex.value.trim() : '',
+    insideSelector: elements.excludeInsideSelector ? elements.excludeInsideSelector.value.trim() : ''
+  };
+}
+
+/**
+ * Fill the exclusion rule inputs
+ * @param {Object} exclusions - Exclusion rules
+ */
+function applyExclusionSettings(exclusions) {
+  if (elements.excludeKeywords && typeof exclusions.keywords === 'string') {
+    elements.excludeKeywords.value = exclusions.keywords;
+  }
+  if (elements.excludeRegex && typeof exclusions.regex === 'string') {
+    elements.excludeRegex.value = exclusions.regex;
+  }
+  if (elements.excludeInsideSelector && typeof exclusions.insideSelector === 'string') {
+    elements.excludeInsideSelector.value = exclusions.insideSelector;
+  }
+}
+
+/**
+ * Only show the verification selector for modes that use it
+ */
+function updateVerifyFieldVisibility() {
+  if (!elements.verifyMode || !elements.verifySelector) return;
+  
+  const mode = elements.verifyMode.value;
+  const usesSelector = mode === 'selector-appears' || mode === 'any';
+  elements.verifySelector.closest('.setting-group').style.display = usesSelector ? '' : 'none';
+}
+
+/**
+ * Convert the displayed delay values when the unit changes
+ */
+async function handleDelayUnitChange() {
+  const settings = getDelaySettings(); // Read with the previous unit
+  
+  PopupState.delayUnit = elements.delayUnit.value;
+  applyDelaySettings(settings);
+  
+  await saveSettings();
+}
+
+/**
+ * Save edited delays and hand them to the run in the shown tab, if it's running.
+ * Runs keep their own delays, so other tabs' runs aren't affected.
+ */
+async function handleDelaySettingsChange() {
+  await saveSettings();
+  
+  if (!PopupState.isAutomationRunning) return;
+  
+  try {
+    const response = await sendMessageToContentScript({
+      action: 'updateDelaySettings',
+      delaySettings: getDelaySettings()
+    });
+    if (!response.success) {
+      console.log('Run did not take the new delays:', response.error);
+    }
+  } catch (error) {
+    console.error('Error updating delays of the running automation:', error);
+  }
+}
+
+/**
+ * Load saved settings from storage
+ */
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get([...SETTINGS_KEYS, 'clickInterval']);
+    
+    if (result.delayUnit && DELAY_UNITS[result.delayUnit]) {
+      PopupState.delayUnit = result.delayUnit;
+      if (elements.delayUnit) {
+        elements.delayUnit.value = result.delayUnit;
+      }
+    }
+    
+    // Older versions only stored clickInterval (seconds)
+    if (result.delaySettings) {
+      applyDelaySettings(result.delaySettings);
+    } else if (result.clickInterval) {
+      applyDelaySettings({ strategy: 'fixed', intervalMs: result.clickInterval * 1000 });
+    } else {
+      updateDelayFieldVisibility();
+    }
+    
+    if (result.stopConditions) {
+      applyStopConditions(result.stopConditions);
+    }
+    
+    if (result.verification) {
+      applyVerificationSettings(result.verification);
+    } else {
+      updateVerifyFieldVisibility();
+    }
+    
+    if (result.discovery) {
+      applyDiscoverySettings(result.discovery);
+    }
+    
+    if (result.pagination) {
+      applyPaginationSettings(result.pagination);
+    }
+    
+    if (result.itemContext) {
+      applyItemContextSettings(result.itemContext);
+    }
+    
+    if (result.exclusions) {
+      applyExclusionSettings(result.exclusions);
+    }
+    
+    if (elements.autoScrollCheckbox && typeof result.autoScroll === 'boolean') {
+      elements.autoScrollCheckbox.checked = result.autoScroll;
+    }
+    
+    if (result.matchMode) {
+      setMatchMode(result.matchMode);
+    }
+    
+    if (typeof result.normalizeLabels === 'boolean') {
+      PopupState.normalizeLabels = result.normalizeLabels;
+      if (elements.normalizeLabelsCheckbox) {
+        elements.normalizeLabelsCheckbox.checked = result.normalizeLabels;
+      }
+    }
+    
+    console.log('Settings loaded:', result);
+    
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+/**
+ * Save current settings to storage
+ */
+async function saveSettings() {
+  try {
+    const settings = {
+      delaySettings: getDelaySettings(),
+      delayUnit: PopupState.delayUnit,
+      stopConditions: getStopConditions(),
+      verification: getVerificationSettings(),
+      discovery: getDiscoverySettings(),
+      pagination: getPaginationSettings(),
+      itemContext: getItemContextSettings(),
+      exclusions: getExclusionSettings(),
+      autoScroll: elements.autoScrollCheckbox.checked,
+      matchMode: PopupState.matchMode,
+      normalizeLabels: PopupState.normalizeLabels
+    };
+    
+    await chrome.storage.local.set(settings);
+    console.log('Settings saved:', settings);
+    
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+}
+
+// ===========================================
+// SITE RECIPES
+// ===========================================
+
+/**
+ * Check whether a recipe's "use on" pattern covers a URL. A bare hostname
+ * also covers its subdomains; anything with a path is a URL prefix where
+ * * matches any characters.
+ * @param {string} urlPattern - e.g. "shop.com" or "shop.com/coupons/*"
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the recipe applies to the page
+ */
+function recipeMatchesUrl(urlPattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  
+  const pattern = (urlPattern || '').trim().toLowerCase().replace(/^https?:\/\//, '');
+  if (!pattern) return false;
+  
+  if (!pattern.includes('/') && !pattern.includes('*')) {
+    const hostname = parsed.hostname.toLowerCase();
+    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+  }
+  
+  const address = `${parsed.host}${parsed.pathname}${parsed.search}`.toLowerCase();
+  const regex = new RegExp('^' + pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*'));
+  return regex.test(address);
+}
+
+/**
+ * Get the URL of the tab the popup controls
+ * @returns {Promise<string>} Tab URL, or '' if unavailable
+ */
+async function getTargetTabUrl() {
+  try {
+    const tab = await chrome.tabs.get(PopupState.tabId);
+    return tab.url || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Show the recipes saved for the target tab's site, most recently used first
+ */
+async function loadSiteRecipes() {
+  const url = await getTargetTabUrl();
+  
+  // Suggest the site itself as the scope of a new recipe
+  if (elements.recipeScope && !elements.recipeScope.value) {
+    try {
+      elements.recipeScope.value = new URL(url).hostname;
+    } catch (error) {
+      // Not a web page - leave the scope empty
+    }
+  }
+  
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    const recipes = siteRecipes
+      .filter(recipe => recipeMatchesUrl(recipe.urlPattern, url))
+      .sort((a, b) => (b.lastUsedAt || b.updatedAt) - (a.lastUsedAt || a.updatedAt));
+    
+    renderRecipeList(recipes);
+  } catch (error) {
+    console.error('Error loading site recipes:', error);
+  }
+}
+
+/**
+ * Render the matching recipes with a one-click run button each
+ * @param {Array} recipes - Recipes that apply to the current page
+ */
+function renderRecipeList(recipes) {
+  if (!elements.recipePanel || !elements.recipeList) return;
+  
+  elements.recipeList.innerHTML = '';
+  
+  recipes.forEach(recipe => {
+    const item = document.createElement('div');
+    item.className = 'run-list-item recipe-item';
+    
+    const label = document.createElement('span');
+    label.className = 'run-label';
+    label.textContent = recipe.name;
+    label.title = `Load into the form: ${recipe.targets.map(describeTarget).join(' + ')} (${recipe.urlPattern})`;
+    label.addEventListener('click', () => {
+      if (!PopupState.isAutomationRunning) applyRecipe(recipe);
+    });
+    
+    const runButton = document.createElement('button');
+    runButton.className = 'run-btn';
+    runButton.textContent = '▶ Run';
+    runButton.title = 'Start this recipe';
+    runButton.disabled = PopupState.isAutomationRunning;
+    runButton.addEventListener('click', () => handleRunRecipe(recipe));
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'remove-btn';
+    removeButton.textContent = '×';
+    removeButton.title = 'Delete recipe';
+    removeButton.disabled = PopupState.isAutomationRunning;
+    removeButton.addEventListener('click', () => handleDeleteRecipe(recipe.id));
+    
+    item.append(label, runButton, removeButton);
+    elements.recipeList.appendChild(item);
+  });
+  
+  elements.recipePanel.style.display = recipes.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Save the current targets and settings as a recipe for this site
+ */
+async function handleSaveRecipe() {
+  const targets = getRunTargets();
+  if (targets.length === 0) {
+    setRecipeStatus('Choose a pattern or selector first', true);
+    return;
+  }
+  
+  const urlPattern = elements.recipeScope.value.trim();
+  if (!urlPattern) {
+    setRecipeStatus('Enter the site or URL the recipe is for', true);
+    return;
+  }
+  
+  const name = elements.recipeName.value.trim() || targets.map(describeTarget).join(' + ');
+  
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    
+    // Saving under an existing name and scope updates that recipe
+    const existing = siteRecipes.find(recipe => recipe.name === name && recipe.urlPattern === urlPattern);
+    const schedule = getScheduleSettings(existing && existing.schedule, await getTargetTabUrl());
+    const recipe = {
+      id: existing ? existing.id : `recipe-${Date.now()}`,
+      name: name,
+      urlPattern: urlPattern,
+      // Frame ids change on every page load, so recipes match targets in any frame
+      targets: targets.map(({ frameId, frameLabel, ...target }) => ({ ...target, maxClicks: target.maxClicks || null })),
+      runOrder: PopupState.runOrder,
+      matchMode: PopupState.matchMode,
+      delaySettings: getDelaySettings(),
+      stopConditions: getStopConditions(),
+      verification: getVerificationSettings(),
+      discovery: getDiscoverySettings(),
+      pagination: getPaginationSettings(),
+      itemContext: getItemContextSettings(),
+      exclusions: getExclusionSettings(),
+      autoScroll: elements.autoScrollCheckbox.checked,
+      schedule: schedule,
+      updatedAt: Date.now(),
+      lastUsedAt: existing ? existing.lastUsedAt : null
+    };
+    
+    const recipes = siteRecipes.filter(other => other !== existing);
+    recipes.push(recipe);
+    await chrome.storage.local.set({ siteRecipes: recipes });
+    
+    console.log('Recipe saved:', recipe);
+    setRecipeStatus(existing ? `Updated "${name}"` : `Saved "${name}"`);
+    await loadSiteRecipes();
+    await syncSchedules();
+  } catch (error) {
+    console.error('Error saving recipe:', error);
+    setRecipeStatus('Could not save recipe', true);
+  }
+}
+
+/**
+ * Show a short message under the save recipe button
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether to show it as an error
+ */
+function setRecipeStatus(message, isError = false) {
+  if (!elements.recipeStatus) return;
+  
+  elements.recipeStatus.textContent = message;
+  elements.recipeStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Load a recipe's targets and settings into the popup
+ * @param {Object} recipe - Saved recipe
+ */
+async function applyRecipe(recipe) {
+  console.log('Applying recipe:', recipe);
+  
+  PopupState.runTargets = recipe.targets.map(target => ({ ...target }));
+  if (recipe.runOrder) {
+    PopupState.runOrder = recipe.runOrder;
+    if (elements.runOrder) {
+      elements.runOrder.value = recipe.runOrder;
+    }
+  }
+  if (recipe.matchMode) {
+    setMatchMode(recipe.matchMode);
+  }
+  
+  if (recipe.delaySettings) applyDelaySettings(recipe.delaySettings);
+  if (recipe.stopConditions) applyStopConditions(recipe.stopConditions);
+  if (recipe.verification) applyVerificationSettings(recipe.verification);
+  if (recipe.discovery) applyDiscoverySettings(recipe.discovery);
+  if (recipe.pagination) applyPaginationSettings(recipe.pagination);
+  if (recipe.itemContext) applyItemContextSettings(recipe.itemContext);
+  if (recipe.exclusions) applyExclusionSettings(recipe.exclusions);
+  if (elements.autoScrollCheckbox && typeof recipe.autoScroll === 'boolean') {
+    elements.autoScrollCheckbox.checked = recipe.autoScroll;
+  }
+  
+  // Saving again from here updates this recipe
+  elements.recipeName.value = recipe.name;
+  elements.recipeScope.value = recipe.urlPattern;
+  applyScheduleSettings(recipe.schedule);
+  
+  showButtonSelection();
+  showSettings();
+  renderRunList();
+  await highlightRunTargets();
+}
+
+/**
+ * Start a recipe in one click
+ * @param {Object} recipe - Saved recipe
+ */
+async function handleRunRecipe(recipe) {
+  if (PopupState.isAutomationRunning) return;
+  
+  await applyRecipe(recipe);
+  
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    const stored = siteRecipes.find(other => other.id === recipe.id);
+    if (stored) {
+      stored.lastUsedAt = Date.now();
+      await chrome.storage.local.set({ siteRecipes: siteRecipes });
+    }
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+  }
+  
+  await handleStartAutomation();
+}
+
+/**
+ * Delete a saved recipe
+ * @param {string} recipeId - Recipe id
+ */
+async function handleDeleteRecipe(recipeId) {
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    await chrome.storage.local.set({ 
+      siteRecipes: siteRecipes.filter(recipe => recipe.id !== recipeId) 
+    });
+    await loadSiteRecipes();
+    await syncSchedules();
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+  }
+}
+
+// ===========================================
+// SCHEDULES
+// ===========================================
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How the last scheduled run ended (see recordScheduleResult in background.js)
+const SCHEDULE_STATUS_LABELS = {
+  'starting': 'Starting…',
+  'running': 'Running',
+  'completed': 'Completed',
+  'stopped': 'Stopped',
+  'skipped': 'Skipped',
+  'failed': 'Failed'
+};
+
+/**
+ * Read the schedule inputs of the recipe form
+ * @param {Object|null} existingSchedule - Schedule of the recipe being updated
+ * @param {string} url - Page the scheduled run opens
+ * @returns {Object|null} Schedule, or null for "Never"
+ */
+function getScheduleSettings(existingSchedule, url) {
+  const type = elements.scheduleType ? elements.scheduleType.value : 'none';
+  if (type === 'none') return null;
+  
+  const everyHours = parseInt(elements.scheduleHours.value, 10);
+  const schedule = {
+    enabled: true,
+    type: type,
+    time: elements.scheduleTime.value || '09:00',
+    days: Array.from(elements.scheduleDays.querySelectorAll('input:checked'))
+      .map(input => Number(input.dataset.day)),
+    everyHours: everyHours >= 1 ? everyHours : 24,
+    url: url,
+    // Interval schedules count from here, so keep it while the interval is unchanged
+    startAt: existingSchedule && existingSchedule.type === type && 
+      existingSchedule.everyHours === everyHours && existingSchedule.startAt ? 
+      existingSchedule.startAt : Date.now()
+  };
+  
+  if (existingSchedule && existingSchedule.enabled === false) {
+    schedule.enabled = false;
+  }
+  
+  return schedule;
+}
+
+/**
+ * Fill the schedule inputs from a recipe
+ * @param {Object|null} schedule - Recipe schedule
+ */
+function applyScheduleSettings(schedule) {
+  if (!elements.scheduleType) return;
+  
+  elements.scheduleType.value = schedule ? schedule.type : 'none';
+  if (schedule) {
+    elements.scheduleTime.value = schedule.time || '09:00';
+    elements.scheduleHours.value = schedule.everyHours || 24;
+    elements.scheduleDays.querySelectorAll('input').forEach(input => {
+      input.checked = (schedule.days || []).includes(Number(input.dataset.day));
+    });
+  }
+  
+  updateScheduleFieldVisibility();
+}
+
+/**
+ * Show only the schedule inputs the chosen schedule type uses
+ */
+function updateScheduleFieldVisibility() {
+  if (!elements.scheduleType) return;
+  
+  const type = elements.scheduleType.value;
+  elements.scheduleTimeGroup.style.display = type === 'daily' || type === 'weekly' ? 'block' : 'none';
+  elements.scheduleDaysGroup.style.display = type === 'weekly' ? 'block' : 'none';
+  elements.scheduleHoursGroup.style.display = type === 'interval' ? 'block' : 'none';
+}
+
+/**
+ * Describe a schedule, e.g. "Mon, Thu at 09:00"
+ * @param {Object} schedule - Recipe schedule
+ * @returns {string} Schedule description
+ */
+function describeSchedule(schedule) {
+  if (schedule.type === 'interval') return `Every ${schedule.everyHours}h`;
+  if (schedule.type === 'daily') return `Daily at ${schedule.time}`;
+  
+  const days = (schedule.days || []).slice()
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)) // Monday first
+    .map(day => WEEKDAY_NAMES[day]);
+  return `${days.length > 0 ? days.join(', ') : 'Daily'} at ${schedule.time}`;
+}
+
+/**
+ * Ask the background script to re-arm schedule alarms after recipes changed
+ */
+async function syncSchedules() {
+  try {
+    await sendMessageToContentScript({ action: 'syncSchedules' });
+  } catch (error) {
+    console.error('Error syncing schedules:', error);
+  }
+  
+  await loadSchedules();
+}
+
+/**
+ * Load every scheduled recipe with its next run and last outcome
+ */
+async function loadSchedules() {
+  if (!elements.scheduleList) return;
+  
+  try {
+    const { siteRecipes = [], scheduleResults = {} } = 
+      await chrome.storage.local.get(['siteRecipes', 'scheduleResults']);
+    const alarms = chrome.alarms ? await chrome.alarms.getAll() : [];
+    
+    renderScheduleList(siteRecipes.filter(recipe => recipe.schedule), alarms, scheduleResults);
+  } catch (error) {
+    console.error('Error loading schedules:', error);
+  }
+}
+
+/**
+ * Render the schedule list with an enable toggle per recipe
+ * @param {Array} recipes - Recipes that have a schedule
+ * @param {Array} alarms - chrome.alarms entries (their scheduledTime is the next run)
+ * @param {Object} results - Last outcome per recipe id
+ */
+function renderScheduleList(recipes, alarms, results) {
+  elements.scheduleList.innerHTML = '';
+  
+  if (recipes.length === 0) {
+    elements.scheduleList.textContent = 'No scheduled recipes. Pick "Run Automatically" when saving a recipe.';
+    return;
+  }
+  
+  recipes.forEach(recipe => {
+    const item = document.createElement('div');
+    item.className = 'run-list-item schedule-item';
+    
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = recipe.schedule.enabled;
+    toggle.title = recipe.schedule.enabled ? 'Disable schedule' : 'Enable schedule';
+    toggle.addEventListener('change', () => handleScheduleToggle(recipe.id, toggle.checked));
+    
+    const alarm = alarms.find(other => other.name === `schedule:${recipe.id}`);
+    const nextRun = recipe.schedule.enabled && alarm ? 
+      `next ${new Date(alarm.scheduledTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}` : 
+      'off';
+    
+    const label = document.createElement('span');
+    label.className = 'run-label';
+    label.title = recipe.schedule.url;
+    label.textContent = `${recipe.name} — ${describeSchedule(recipe.schedule)}`;
+    
+    const detail = document.createElement('span');
+    detail.className = 'schedule-detail';
+    const lastRun = formatScheduleResult(results[recipe.id]);
+    detail.textContent = lastRun ? `${nextRun} • last: ${lastRun}` : nextRun;
+    label.appendChild(detail);
+    
+    item.append(toggle, label);
+    elements.scheduleList.appendChild(item);
+  });
+}
+
+/**
+ * Describe a scheduled recipe's last outcome, e.g. "Completed, 12 clicks (Mon 09:00)"
+ * @param {Object} result - Outcome stored by the background script
+ * @returns {string} Outcome text ('' if the recipe never ran)
+ */
+function formatScheduleResult(result) {
+  if (!result) return '';
+  
+  let text = SCHEDULE_STATUS_LABELS[result.status] || result.status;
+  if (typeof result.totalClicked === 'number') {
+    text += `, ${result.totalClicked} click${result.totalClicked === 1 ? '' : 's'}`;
+  }
+  if (result.error) {
+    text += ` (${result.error})`;
+  } else if (STOP_REASON_LABELS[result.stopReason]) {
+    text += ` (${STOP_REASON_LABELS[result.stopReason]})`;
+  }
+  if (result.startedAt) {
+    text += ` — ${new Date(result.startedAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`;
+  }
+  return text;
+}
+
+/**
+ * Enable or disable a recipe's schedule from the schedule list
+ * @param {string} recipeId - Recipe id
+ * @param {boolean} enabled - New state
+ */
+async function handleScheduleToggle(recipeId, enabled) {
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    const recipe = siteRecipes.find(other => other.id === recipeId);
+    if (!recipe || !recipe.schedule) return;
+    
+    recipe.schedule.enabled = enabled;
+    await chrome.storage.local.set({ siteRecipes: siteRecipes });
+    await syncSchedules();
+  } catch (error) {
+    console.error('Error toggling schedule:', error);
+  }
+}
+
+// ===========================================
+// IMPORT / EXPORT
+// ===========================================
+
+// Marks our export files; version goes up whenever their layout changes
+const EXPORT_FORMAT = 'auto-click-assistant';
+const EXPORT_VERSION = 1;
+
+// Upgrade steps from each older export version to the next one
+const EXPORT_MIGRATIONS = {
+  // Unversioned: a plain object of storage keys (e.g. copied out of chrome.storage),
+  // possibly with the legacy clickInterval in seconds
+  0: (data) => {
+    const { siteRecipes, clickInterval, ...settings } = data;
+    if (!settings.delaySettings && typeof clickInterval === 'number') {
+      settings.delaySettings = { strategy: 'fixed', intervalMs: clickInterval * 1000 };
+    }
+    return { format: EXPORT_FORMAT, version: 1, settings: settings, siteRecipes: siteRecipes || [] };
+  }
+};
+
+// How each setting is named in the import preview
+const SETTING_LABELS = {
+  delaySettings: 'Click delays',
+  delayUnit: 'Delay unit',
+  stopConditions: 'Stop conditions',
+  verification: 'Click verification',
+  discovery: 'Load more targets',
+  pagination: 'Follow next page',
+  itemContext: 'Clicked item details',
+  exclusions: 'Exclusion rules',
+  autoScroll: 'Auto-scroll',
+  matchMode: 'Match mode',
+  normalizeLabels: 'Group similar labels'
+};
+
+// Fields of each object setting and what each one has to be (missing fields
+// fall back to their defaults). These mirror what the settings form can produce.
+const SETTING_FIELD_VALIDATORS = {
+  delaySettings: {
+    strategy: (value) => isSelectOption(elements.delayStrategy, value),
+    intervalMs: isNonNegativeNumber,
+    minMs: isNonNegativeNumber,
+    maxMs: isNonNegativeNumber,
+    jitterMs: isNonNegativeNumber,
+    backoffFactor: (value) => typeof value === 'number' && value >= 1,
+    maxBackoffMs: isNonNegativeNumber,
+    scrollWaitMs: isNonNegativeNumber
+  },
+  stopConditions: {
+    maxClicks: (value) => value === null || (Number.isInteger(value) && value >= 1),
+    maxDurationMs: (value) => value === null || (typeof value === 'number' && value > 0),
+    stopAtTime: (value) => value === '' || isClockTime(value),
+    stopOnText: isString,
+    stopOnSelector: isString
+  },
+  verification: {
+    mode: (value) => isSelectOption(elements.verifyMode, value),
+    selector: isString,
+    timeoutMs: isNonNegativeNumber,
+    maxRetries: (value) => Number.isInteger(value) && value >= 0
+  },
+  discovery: {
+    enabled: isBoolean,
+    scrollContainer: isString,
+    loadMoreSelector: isString,
+    loadMoreText: isString,
+    waitMs: isNonNegativeNumber,
+    maxEmptyRounds: (value) => Number.isInteger(value) && value >= 1
+  },
+  pagination: {
+    enabled: isBoolean,
+    nextSelector: isString,
+    nextText: isString,
+    waitMs: isNonNegativeNumber,
+    maxPages: (value) => Number.isInteger(value) && value >= 1
+  },
+  itemContext: {
+    containerSelector: isString
+  },
+  exclusions: {
+    keywords: isString,
+    regex: (value) => isString(value) && isValidRegex(value),
+    insideSelector: isString
+  }
+};
+
+// Shape each imported setting has to have
+const SETTING_VALIDATORS = {
+  delaySettings: (value) => !getSettingFieldError('delaySettings', value),
+  delayUnit: (value) => Object.prototype.hasOwnProperty.call(DELAY_UNITS, value),
+  stopConditions: (value) => !getSettingFieldError('stopConditions', value),
+  verification: (value) => !getSettingFieldError('verification', value),
+  discovery: (value) => !getSettingFieldError('discovery', value),
+  pagination: (value) => !getSettingFieldError('pagination', value),
+  itemContext: (value) => !getSettingFieldError('itemContext', value),
+  exclusions: (value) => !getSettingFieldError('exclusions', value),
+  autoScroll: isBoolean,
+  matchMode: (value) => isSelectOption(elements.matchMode, value),
+  normalizeLabels: isBoolean
+};
+
+/**
+ * Check for a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find the first invalid field of an imported object setting
+ * @param {string} key - Setting key (see SETTING_FIELD_VALIDATORS)
+ * @param {*} value - Imported value
+ * @returns {string} Name of the invalid field, 'value' if it isn't an object, '' if usable
+ */
+function getSettingFieldError(key, value) {
+  if (!isPlainObject(value)) return 'value';
+  
+  const fieldValidators = SETTING_FIELD_VALIDATORS[key];
+  const invalidField = Object.keys(fieldValidators).find(field => 
+    value[field] !== undefined && !fieldValidators[field](value[field])
+  );
+  return invalidField || '';
+}
+
+/**
+ * Check for a finite number of at least 0 (delays, waits and timeouts in ms)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for usable amounts
+ */
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings
+ */
+function isString(value) {
+  return typeof value === 'string';
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for booleans
+ */
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+/**
+ * Check for a time of day as the time inputs give it ("HH:MM")
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid times
+ */
+function isClockTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Check that a value is one of a select's options
+ * @param {HTMLSelectElement} select - Select element
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the select offers the value
+ */
+function isSelectOption(select, value) {
+  return Boolean(select) && Array.from(select.options).some(option => option.value === value);
+}
+
+/**
+ * Check that a pattern compiles the way the content script compiles it
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if the pattern is valid
+ */
+function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Download all saved settings and site recipes as a versioned JSON file
+ */
+async function handleExport() {
+  try {
+    const stored = await chrome.storage.local.get([...SETTINGS_KEYS, 'siteRecipes']);
+    const { siteRecipes = [], ...settings } = stored;
+    
+    const data = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: settings,
+      siteRecipes: siteRecipes
+    };
+    
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', 
+      `auto-click-assistant-${data.exportedAt.slice(0, 10)}.json`);
+    
+    setImportStatus(`Exported settings and ${siteRecipes.length} recipe${siteRecipes.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    setImportStatus('Could not export settings', true);
+  }
+}
+
+/**
+ * Save text as a file through the browser's downloads
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read the chosen import file and show what it would change
+ */
+async function handleImportFile() {
+  const file = elements.importFile.files[0];
+  elements.importFile.value = ''; // Choosing the same file again should fire change
+  if (!file) return;
+  
+  clearImportPreview();
   
-  // Hide status text
-  if (elements.statusText) {
-    elements.statusText.style.display = 'none';
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    setImportStatus('Not a valid JSON file', true);
+    return;
   }
   
-  // Show analytics
-  showAnalytics(stats);
+  const result = validateImport(data);
+  if (result.error) {
+    setImportStatus(result.error, true);
+    return;
+  }
+  
+  const stored = await chrome.storage.local.get([...SETTINGS_KEYS, 'siteRecipes']);
+  PopupState.pendingImport = result;
+  renderImportPreview(result, stored);
 }
 
 /**
- * Show analytics panel with results
- * @param {Object} stats - Automation statistics
+ * Bring an import up to the current version and keep only valid entries
+ * @param {Object} data - Parsed JSON file
+ * @returns {Object} { settings, siteRecipes, warnings } or { error }
  */
-function showAnalytics(stats) {
-  if (!elements.analyticsPanel) return;
+function validateImport(data) {
+  if (!isPlainObject(data)) {
+    return { error: 'The file does not contain settings' };
+  }
   
-  // Calculate derived statistics
-  const minutes = Math.floor(stats.totalTime / 60);
-  const seconds = stats.totalTime % 60;
-  const timeString = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+  if (data.format !== undefined && data.format !== EXPORT_FORMAT) {
+    return { error: 'The file is not an Auto Click Assistant export' };
+  }
   
-  const avgTime = stats.totalClicked > 0 ? 
-    (stats.totalTime / stats.totalClicked).toFixed(1) : 0;
+  let version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) {
+    return { error: `The file has an unknown format version (${JSON.stringify(data.version)})` };
+  }
+  if (version > EXPORT_VERSION) {
+    return { error: `The file is from a newer version (format ${version}) - update the extension first` };
+  }
   
-  // Update analytics display
-  document.getElementById('buttons-clicked').textContent = stats.totalClicked;
-  document.getElementById('total-time').textContent = timeString;
-  document.getElementById('avg-time').textContent = `${avgTime}s`;
+  while (version < EXPORT_VERSION) {
+    if (!EXPORT_MIGRATIONS[version]) {
+      return { error: `Files of format ${version} can't be upgraded` };
+    }
+    console.log(`Migrating import from format ${version}`);
+    data = EXPORT_MIGRATIONS[version](data);
+    version = data.version;
+  }
   
-  // Show new buttons found (if any)
-  const newButtonsFound = stats.newButtonsFound || 0;
-  document.getElementById('new-discovered').textContent = newButtonsFound;
+  const warnings = [];
+  const settings = {};
+  Object.entries(isPlainObject(data.settings) ? data.settings : {}).forEach(([key, value]) => {
+    if (!SETTING_VALIDATORS[key]) {
+      warnings.push(`Unknown setting "${key}" skipped`);
+    } else if (!SETTING_VALIDATORS[key](value)) {
+      const invalidField = SETTING_FIELD_VALIDATORS[key] ? getSettingFieldError(key, value) : 'value';
+      warnings.push(`${SETTING_LABELS[key]} skipped (invalid ${invalidField})`);
+    } else {
+      settings[key] = value;
+    }
+  });
   
-  // Update the label to be more descriptive
-  const newFoundLabel = document.querySelector('#new-discovered').nextElementSibling;
-  if (newFoundLabel) {
-    newFoundLabel.textContent = newButtonsFound > 0 ? 'New Found' : 'Extra Found';
+  const siteRecipes = [];
+  (Array.isArray(data.siteRecipes) ? data.siteRecipes : []).forEach((recipe, index) => {
+    const error = getRecipeError(recipe);
+    if (error) {
+      warnings.push(`Recipe ${index + 1} skipped (${error})`);
+      return;
+    }
+    
+    // A broken schedule would never fire (or fire at random) - keep the recipe without it
+    const scheduleError = recipe.schedule ? getScheduleError(recipe.schedule) : '';
+    if (scheduleError) {
+      warnings.push(`Schedule of "${recipe.name}" dropped (${scheduleError})`);
+    }
+    siteRecipes.push({
+      ...recipe,
+      schedule: scheduleError ? null : recipe.schedule || null,
+      id: typeof recipe.id === 'string' ? recipe.id : `recipe-${Date.now()}-${index}`,
+      updatedAt: typeof recipe.updatedAt === 'number' ? recipe.updatedAt : Date.now()
+    });
+  });
+  
+  if (Object.keys(settings).length === 0 && siteRecipes.length === 0) {
+    return { error: 'Nothing to import in this file' };
   }
   
-  // Show the analytics panel
-  elements.analyticsPanel.classList.add('show');
+  return { settings: settings, siteRecipes: siteRecipes, warnings: warnings };
+}
+
+/**
+ * Check that a recipe has everything needed to run it
+ * @param {Object} recipe - Imported recipe
+ * @returns {string} What's wrong, or '' if the recipe is usable
+ */
+function getRecipeError(recipe) {
+  if (!isPlainObject(recipe)) return 'not an object';
+  if (typeof recipe.name !== 'string' || !recipe.name.trim()) return 'no name';
+  if (typeof recipe.urlPattern !== 'string' || !recipe.urlPattern.trim()) return 'no site';
+  if (!Array.isArray(recipe.targets) || recipe.targets.length === 0) return 'no targets';
   
-  console.log('Analytics displayed:', {
-    clicked: stats.totalClicked,
-    time: timeString,
-    avgPerClick: `${avgTime}s`,
-    newFound: newButtonsFound,
-    originalButtons: stats.originalButtons || 'unknown'
+  const validTargets = recipe.targets.every(target => 
+    isPlainObject(target) && 
+    ['text', 'css', 'xpath'].includes(target.type) && 
+    typeof target.value === 'string' && target.value !== ''
+  );
+  if (!validTargets) return 'invalid target';
+  
+  // Recipes carry the same settings as the form
+  const invalidSetting = Object.keys(SETTING_FIELD_VALIDATORS).find(key => 
+    recipe[key] !== undefined && getSettingFieldError(key, recipe[key])
+  );
+  return invalidSetting ? `invalid ${SETTING_LABELS[invalidSetting].toLowerCase()}` : '';
+}
+
+/**
+ * Check that an imported recipe schedule is one the schedule form could have saved
+ * @param {Object} schedule - Recipe schedule
+ * @returns {string} What's wrong, or '' if the schedule is usable
+ */
+function getScheduleError(schedule) {
+  if (!isPlainObject(schedule)) return 'not an object';
+  if (schedule.type === 'none' || !isSelectOption(elements.scheduleType, schedule.type)) return 'unknown type';
+  if (typeof schedule.url !== 'string' || !/^https?:/.test(schedule.url)) return 'no page to open';
+  if (schedule.enabled !== undefined && !isBoolean(schedule.enabled)) return 'invalid enabled';
+  if (typeof schedule.startAt !== 'number' || !Number.isFinite(schedule.startAt)) return 'invalid start';
+  
+  if ((schedule.type === 'daily' || schedule.type === 'weekly') && !isClockTime(schedule.time)) {
+    return 'invalid time';
+  }
+  // An empty day list runs every day
+  if (schedule.type === 'weekly' && !(Array.isArray(schedule.days) && 
+    schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    return 'invalid days';
+  }
+  if (schedule.type === 'interval' && !(Number.isInteger(schedule.everyHours) && schedule.everyHours >= 1)) {
+    return 'invalid interval';
+  }
+  return '';
+}
+
+/**
+ * List what applying an import would add or overwrite
+ * @param {Object} result - Validated import
+ * @param {Object} stored - Current storage values
+ */
+function renderImportPreview(result, stored) {
+  const changes = [];
+  
+  Object.entries(result.settings).forEach(([key, value]) => {
+    if (stored[key] === undefined) {
+      changes.push({ type: 'add', text: `${SETTING_LABELS[key]} will be set` });
+    } else if (JSON.stringify(stored[key]) !== JSON.stringify(value)) {
+      changes.push({ type: 'overwrite', text: `${SETTING_LABELS[key]} will be overwritten` });
+    }
+  });
+  
+  const existingRecipes = stored.siteRecipes || [];
+  result.siteRecipes.forEach(recipe => {
+    const existing = findSameRecipe(existingRecipes, recipe);
+    const label = `Recipe "${recipe.name}" (${recipe.urlPattern})`;
+    if (!existing) {
+      changes.push({ type: 'add', text: `${label} will be added` });
+    } else if (JSON.stringify(withoutUsage(existing)) !== JSON.stringify(withoutUsage(recipe))) {
+      changes.push({ type: 'overwrite', text: `${label} will be overwritten` });
+    }
+  });
+  
+  result.warnings.forEach(warning => changes.push({ type: 'warning', text: warning }));
+  
+  const updates = changes.filter(change => change.type !== 'warning').length;
+  elements.importSummary.textContent = updates > 0 ? 
+    `${updates} change${updates === 1 ? '' : 's'}:` : 'Everything in this file is already saved.';
+  
+  elements.importChanges.innerHTML = '';
+  changes.forEach(change => {
+    const item = document.createElement('li');
+    item.className = `change-${change.type}`;
+    item.textContent = change.text;
+    elements.importChanges.appendChild(item);
   });
+  
+  elements.importApplyBtn.disabled = updates === 0;
+  elements.importPreview.style.display = 'block';
 }
 
 /**
- * Update status text
- * @param {string} text - Status text to display
+ * Find the stored recipe an imported one replaces (same name and site)
+ * @param {Array} recipes - Stored recipes
+ * @param {Object} recipe - Imported recipe
+ * @returns {Object|undefined} Matching stored recipe
  */
-function updateStatusText(text) {
-  if (elements.statusText) {
-    elements.statusText.textContent = text;
-    elements.statusText.style.display = text ? 'block' : 'none';
+function findSameRecipe(recipes, recipe) {
+  return recipes.find(other => other.name === recipe.name && other.urlPattern === recipe.urlPattern);
+}
+
+/**
+ * Strip the fields that change without the recipe itself changing
+ * @param {Object} recipe - Recipe
+ * @returns {Object} Recipe without id and timestamps
+ */
+function withoutUsage(recipe) {
+  const { id, updatedAt, lastUsedAt, ...rest } = recipe;
+  return rest;
+}
+
+/**
+ * Write the previewed import to storage and reload the popup's settings
+ */
+async function handleImportApply() {
+  const pending = PopupState.pendingImport;
+  if (!pending) return;
+  
+  try {
+    const { siteRecipes = [] } = await chrome.storage.local.get('siteRecipes');
+    
+    // Imported recipes replace ones with the same name and site, keeping their id.
+    // Others get a new id if theirs is taken - schedules and deletes go by id.
+    const recipes = siteRecipes.slice();
+    pending.siteRecipes.forEach((recipe, index) => {
+      const existing = findSameRecipe(recipes, recipe);
+      if (existing) {
+        recipes[recipes.indexOf(existing)] = { ...recipe, id: existing.id };
+      } else if (recipes.some(other => other.id === recipe.id)) {
+        recipes.push({ ...recipe, id: `recipe-${Date.now()}-${index}` });
+      } else {
+        recipes.push(recipe);
+      }
+    });
+    
+    await chrome.storage.local.set({ ...pending.settings, siteRecipes: recipes });
+    console.log('Import applied:', pending);
+    
+    clearImportPreview();
+    setImportStatus('Import complete');
+    await loadSettings();
+    await loadSiteRecipes();
+    await syncSchedules();
+  } catch (error) {
+    console.error('Error applying import:', error);
+    setImportStatus('Could not apply import', true);
+  }
+}
+
+/**
+ * Hide the import preview and forget the pending import
+ */
+function clearImportPreview() {
+  PopupState.pendingImport = null;
+  if (elements.importPreview) {
+    elements.importPreview.style.display = 'none';
   }
+  setImportStatus('');
+}
+
+/**
+ * Show a short message under the import/export buttons
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether to show it as an error
+ */
+function setImportStatus(message, isError = false) {
+  if (!elements.importStatus) return;
+  
+  elements.importStatus.textContent = message;
+  elements.importStatus.classList.toggle('error', isError);
 }
 
 // ===========================================
-// SETTINGS MANAGEMENT
+// RUN HISTORY
 // ===========================================
 
+// Runs listed under the totals (all filtered runs are still counted and exported)
+const MAX_HISTORY_ROWS = 50;
+
+// Columns of the clicked items (audit trail) CSV export, in order
+const CLICKED_ITEM_CSV_COLUMNS = ['timestamp', 'site', 'label', 'result', 'name', 'price', 'link', 'page'];
+
+// Columns of the CSV export, in order
+const HISTORY_CSV_COLUMNS = [
+  'site', 'url', 'pattern', 'startedAt', 'endedAt', 'totalClicked', 
+  'newButtonsFound', 'excludedCount', 'pagesVisited', 'stopReason', 'completed', 'scheduled'
+];
+
 /**
- * Load saved settings from storage
+ * Load finished runs and fill the site filter
  */
-async function loadSettings() {
+async function loadRunHistory() {
   try {
-    const result = await chrome.storage.local.get(['clickInterval', 'autoScroll']);
+    const { runHistory = [] } = await chrome.storage.local.get('runHistory');
+    PopupState.runHistory = runHistory;
     
-    if (elements.intervalInput && result.clickInterval) {
-      elements.intervalInput.value = result.clickInterval;
-    }
+    const sites = [...new Set(runHistory.map(run => run.site).filter(Boolean))].sort();
+    const selectedSite = elements.historySite.value;
+    elements.historySite.innerHTML = '<option value="">All sites</option>';
+    sites.forEach(site => {
+      const option = document.createElement('option');
+      option.value = site;
+      option.textContent = site;
+      elements.historySite.appendChild(option);
+    });
+    elements.historySite.value = sites.includes(selectedSite) ? selectedSite : '';
     
-    if (elements.autoScrollCheckbox && typeof result.autoScroll === 'boolean') {
-      elements.autoScrollCheckbox.checked = result.autoScroll;
+    renderRunHistory();
+  } catch (error) {
+    console.error('Error loading run history:', error);
+  }
+}
+
+/**
+ * Runs matching the site and date filters, newest first
+ * @returns {Array} Filtered runs
+ */
+function getFilteredRunHistory() {
+  const site = elements.historySite.value;
+  // Date inputs are local calendar days; "To" includes the whole day
+  const from = elements.historyFrom.value ? new Date(`${elements.historyFrom.value}T00:00`).getTime() : -Infinity;
+  const to = elements.historyTo.value ? new Date(`${elements.historyTo.value}T23:59:59.999`).getTime() : Infinity;
+  
+  return PopupState.runHistory
+    .filter(run => (!site || run.site === site) && run.startedAt >= from && run.startedAt <= to)
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Render totals per site and the latest filtered runs
+ */
+function renderRunHistory() {
+  if (!elements.historyList) return;
+  
+  const runs = getFilteredRunHistory();
+  renderHistoryTotals(runs);
+  
+  elements.historyList.innerHTML = '';
+  if (runs.length === 0) {
+    elements.historyList.textContent = PopupState.runHistory.length === 0 ? 
+      'No runs recorded yet' : 'No runs match the filters';
+    return;
+  }
+  
+  runs.slice(0, MAX_HISTORY_ROWS).forEach(run => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.title = run.url;
+    item.textContent = `${run.site || 'Unknown site'} — ${run.pattern}`;
+    
+    const outcome = run.completed ? 'Completed' : (STOP_REASON_LABELS[run.stopReason] || run.stopReason);
+    const detail = document.createElement('span');
+    detail.className = 'history-detail';
+    detail.textContent = [
+      new Date(run.startedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+      `${run.totalClicked} click${run.totalClicked === 1 ? '' : 's'}`,
+      run.newButtonsFound > 0 ? `${run.newButtonsFound} new` : '',
+      run.excludedCount > 0 ? `${run.excludedCount} excluded` : '',
+      run.scheduled ? 'scheduled' : '',
+      outcome
+    ].filter(Boolean).join(' • ');
+    item.appendChild(detail);
+    
+    // Click a run to show what it clicked
+    const clicks = run.clicks || [];
+    if (clicks.length > 0) {
+      item.classList.add('has-items');
+      item.addEventListener('click', () => {
+        const open = item.querySelector('.item-list');
+        if (open) {
+          open.remove();
+          return;
+        }
+        const list = document.createElement('div');
+        list.className = 'item-list';
+        renderItemList(list, clicks);
+        if (run.clicksOmitted > 0) {
+          const omitted = document.createElement('div');
+          omitted.className = 'history-detail';
+          omitted.textContent = `…and ${run.clicksOmitted} more clicks (not kept)`;
+          list.appendChild(omitted);
+        }
+        item.appendChild(list);
+      });
     }
     
-    console.log('Settings loaded:', result);
+    elements.historyList.appendChild(item);
+  });
+  
+  if (runs.length > MAX_HISTORY_ROWS) {
+    const more = document.createElement('div');
+    more.className = 'history-detail';
+    more.textContent = `…and ${runs.length - MAX_HISTORY_ROWS} older runs (included in totals and exports)`;
+    elements.historyList.appendChild(more);
+  }
+}
+
+/**
+ * Render runs, clicks and new-found buttons per site
+ * @param {Array} runs - Filtered runs
+ */
+function renderHistoryTotals(runs) {
+  const table = elements.historyTotals;
+  table.innerHTML = '';
+  if (runs.length === 0) return;
+  
+  const totals = new Map();
+  runs.forEach(run => {
+    const site = run.site || 'Unknown site';
+    const total = totals.get(site) || { runs: 0, clicks: 0, newFound: 0 };
+    total.runs++;
+    total.clicks += run.totalClicked;
+    total.newFound += run.newButtonsFound;
+    totals.set(site, total);
+  });
+  
+  const addRow = (section, cells, cellTag = 'td') => {
+    const row = section.insertRow();
+    cells.forEach(value => {
+      const cell = document.createElement(cellTag);
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+  };
+  
+  addRow(table.createTHead(), ['Site', 'Runs', 'Clicks', 'New'], 'th');
+  const body = table.createTBody();
+  totals.forEach((total, site) => addRow(body, [site, total.runs, total.clicks, total.newFound]));
+  
+  if (totals.size > 1) {
+    addRow(table.createTFoot(), [
+      'All sites',
+      runs.length,
+      runs.reduce((sum, run) => sum + run.totalClicked, 0),
+      runs.reduce((sum, run) => sum + run.newButtonsFound, 0)
+    ]);
+  }
+}
+
+/**
+ * Download the filtered runs as CSV or JSON
+ * @param {string} format - 'csv' | 'json'
+ */
+function exportRunHistory(format) {
+  const runs = getFilteredRunHistory();
+  const date = new Date().toISOString().slice(0, 10);
+  
+  if (format === 'json') {
+    downloadFile(JSON.stringify(runs, null, 2), 'application/json', `auto-click-history-${date}.json`);
+    return;
+  }
+  
+  const rows = runs.map(run => ({
+    ...run,
+    startedAt: new Date(run.startedAt).toISOString(),
+    endedAt: new Date(run.endedAt).toISOString()
+  }));
+  
+  downloadFile(toCsv(HISTORY_CSV_COLUMNS, rows), 'text/csv', `auto-click-history-${date}.csv`);
+}
+
+/**
+ * Flatten a click result from the content script into an audit trail row
+ * (the shape the background script stores in runHistory)
+ * @param {Object} click - { label, result, timestamp, item, page }
+ * @returns {Object} { timestamp, label, result, name, price, link, page }
+ */
+function toAuditClick(click) {
+  return {
+    timestamp: click.timestamp,
+    label: click.label,
+    result: click.result,
+    name: click.item ? click.item.name : '',
+    price: click.item ? click.item.price : '',
+    link: click.item ? click.item.link : '',
+    page: click.page || ''
+  };
+}
+
+/**
+ * Render clicked items as "name ... price" rows
+ * @param {Element} container - List element
+ * @param {Array} clicks - Audit trail rows
+ */
+function renderItemList(container, clicks) {
+  container.innerHTML = '';
+  
+  clicks.forEach(click => {
+    const row = document.createElement('div');
+    row.title = [click.link, new Date(click.timestamp).toLocaleTimeString()].filter(Boolean).join('\n');
     
-  } catch (error) {
-    console.error('Error loading settings:', error);
+    const name = document.createElement('span');
+    name.className = 'item-name';
+    name.textContent = `${CLICK_RESULT_ICONS[click.result] || ''} ${click.name || `"${click.label}"`}`.trim();
+    
+    const price = document.createElement('span');
+    price.className = 'item-price';
+    price.textContent = click.price;
+    
+    row.append(name, price);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Download audit trail rows as CSV
+ * @param {Array} clicks - Audit trail rows
+ * @param {string} filename - Suggested file name
+ */
+function exportClickedItems(clicks, filename) {
+  const rows = clicks.map(click => {
+    let site = '';
+    try {
+      site = new URL(click.page).hostname;
+    } catch (error) {
+      // Clicks recorded before pages were tracked
+    }
+    return { ...click, site: site, timestamp: new Date(click.timestamp).toISOString() };
+  });
+  
+  downloadFile(toCsv(CLICKED_ITEM_CSV_COLUMNS, rows), 'text/csv', filename);
+}
+
+/**
+ * Download every clicked item of the filtered runs as CSV
+ */
+function exportHistoryClickedItems() {
+  const clicks = [].concat(...getFilteredRunHistory().map(run => run.clicks || []))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  exportClickedItems(clicks, `auto-click-items-${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+/**
+ * Build CSV text with a header row
+ * @param {Array} columns - Column names (keys of each row)
+ * @param {Array} rows - Row objects
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const lines = rows.map(row => columns.map(column => toCsvField(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\r\n');
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks.
+ * Text read from pages that starts like a formula gets a leading ' so
+ * spreadsheets show it instead of evaluating it.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
   }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
+// ===========================================
+// KEYBOARD SHORTCUTS
+// ===========================================
+
 /**
- * Save current settings to storage
+ * Show the key currently bound to the start/stop command (users can remap it)
  */
-async function saveSettings() {
+async function loadShortcutHint() {
+  if (!elements.shortcutsLink || !chrome.commands) return;
+  
   try {
-    const settings = {
-      clickInterval: parseInt(elements.intervalInput.value) || 20,
-      autoScroll: elements.autoScrollCheckbox.checked
-    };
-    
-    await chrome.storage.local.set(settings);
-    console.log('Settings saved:', settings);
+    const commands = await chrome.commands.getAll();
+    const toggleCommand = commands.find(command => command.name === 'toggle-automation');
+    const shortcut = toggleCommand && toggleCommand.shortcut;
     
+    elements.shortcutsLink.textContent = shortcut ? 
+      `⌨ ${shortcut} starts/stops` : '⌨ Set a start/stop shortcut';
   } catch (error) {
-    console.error('Error saving settings:', error);
+    console.error('Error loading shortcuts:', error);
   }
 }
 
+/**
+ * Open the browser's shortcut settings (chrome:// pages can't be linked directly)
+ * @param {Event} event - Click event
+ */
+function handleShortcutsLinkClick(event) {
+  event.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+}
+
 // ===========================================
 // COMMUNICATION HELPERS
 // ===========================================
 
 /**
  * Send message to content script via background script
- * @param {Object} message - Message to send
+ * @param {Object} message - Message to send (tabId defaults to the target tab)
  * @returns {Promise} Promise resolving to response
  */
 function sendMessageToContentScript(message) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, (response) => {
+    // Messages go to the tab the popup controls unless they name one
+    const tabMessage = { tabId: PopupState.tabId, ...message };
+    chrome.runtime.sendMessage(tabMessage, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {